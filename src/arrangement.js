@@ -0,0 +1,76 @@
+// Song arrangement: sequences and trajectories placed as clips on a timeline of 4/4 bars at the global bpm
+
+export const DEFAULT_SONG_LENGTH = 32; // bars
+
+let clipCounter = 0;
+
+export function createArrangement() {
+    return {
+        songMode: false, // Clips decide what sounds, instead of every sequence and playing trajectory
+        length: DEFAULT_SONG_LENGTH,
+        loop: { enabled: false, start: 0, end: 4 }, // Loop region in bars
+        clips: []
+    };
+}
+
+/**
+ * A clip plays its source from the top for `length` bars, `repeats` times in a row, from
+ * bar `start` on. `pattern` picks the pattern of a sequence source.
+ */
+export function createClip({ type, sourceId, pattern = 0, start = 0, length = 1, repeats = 1 }) {
+    return {
+        id: `${Date.now().toString(36)}-${clipCounter++}`,
+        type, // 'sequence' or 'trajectory'
+        sourceId,
+        pattern,
+        start,
+        length,
+        repeats
+    };
+}
+
+// Bar where a clip stops; nothing plays past the end of the song
+export function clipEnd(clip, songLength = Infinity) {
+    return Math.min(clip.start + clip.length * clip.repeats, songLength);
+}
+
+// Whole bars needed to hold `seconds`, at least one
+export function barsFor(seconds, barSeconds) {
+    return Math.max(1, Math.ceil(seconds / barSeconds - 1e-6));
+}
+
+// Song position in bars after `bars` of transport time; playback cycles through the loop region when it is on
+export function songPosition(bars, loop) {
+    if (!loop.enabled) return bars;
+    const span = loop.end - loop.start;
+    return loop.start + ((bars % span) + span) % span;
+}
+
+export function arrangementFromJSON(data) {
+    const arrangement = createArrangement();
+    if (!data) return arrangement;
+
+    arrangement.songMode = !!data.songMode;
+    arrangement.length = data.length ?? arrangement.length;
+    // A loop region that ends before it starts is dropped, as songPosition needs a span
+    const loop = { ...arrangement.loop, ...data.loop };
+    if (loop.end > loop.start) {
+        arrangement.loop = loop;
+    }
+    arrangement.clips = (data.clips || [])
+        .filter(clip => clip.type === 'sequence' || clip.type === 'trajectory')
+        .map(clip => {
+            const restored = createClip(clip);
+            return clip.id ? { ...restored, id: clip.id } : restored;
+        });
+    return arrangement;
+}
+
+export function arrangementToJSON(arrangement) {
+    return {
+        songMode: arrangement.songMode,
+        length: arrangement.length,
+        loop: { ...arrangement.loop },
+        clips: arrangement.clips.map(clip => ({ ...clip }))
+    };
+}
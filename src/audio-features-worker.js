@@ -0,0 +1,11 @@
+// Sample analysis for the sound map, off the main thread
+
+import {extractFeatures} from './audio-features.js';
+
+self.addEventListener('message', ({ data: { soundUrl, channels, sampleRate } }) => {
+    try {
+        self.postMessage({ soundUrl, features: extractFeatures(channels, sampleRate) });
+    } catch (error) {
+        self.postMessage({ soundUrl, error: error.message });
+    }
+});
@@ -0,0 +1,271 @@
+// Audio descriptors for laying out samples on the sound map:
+// MFCC (without the 0th coefficient) and spectral statistics, reduced to 2D with PCA
+
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 1024;
+const MEL_BANDS = 40;
+const MFCC_COUNT = 13;
+const MAX_ANALYSIS_SECONDS = 10;
+const SILENCE_RMS = 1e-4;
+
+function mixToMono(channels, sampleRate) {
+    const length = Math.min(channels[0].length, Math.round(MAX_ANALYSIS_SECONDS * sampleRate));
+    const mono = new Float32Array(length);
+    channels.forEach(data => {
+        for (let i = 0; i < length; i++) {
+            mono[i] += data[i] / channels.length;
+        }
+    });
+    return mono;
+}
+
+// In-place iterative radix-2 FFT
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        const wRe = Math.cos(angle);
+        const wIm = Math.sin(angle);
+        for (let start = 0; start < n; start += size) {
+            let curRe = 1;
+            let curIm = 0;
+            for (let k = 0; k < size / 2; k++) {
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * curRe - im[b] * curIm;
+                const tIm = re[b] * curIm + im[b] * curRe;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+                const nextRe = curRe * wRe - curIm * wIm;
+                curIm = curRe * wIm + curIm * wRe;
+                curRe = nextRe;
+            }
+        }
+    }
+}
+
+const hzToMel = hz => 2595 * Math.log10(1 + hz / 700);
+const melToHz = mel => 700 * (Math.pow(10, mel / 2595) - 1);
+
+function createMelFilterbank(sampleRate) {
+    const bins = FRAME_SIZE / 2 + 1;
+    const maxMel = hzToMel(sampleRate / 2);
+    const binOf = hz => Math.floor((FRAME_SIZE + 1) * hz / sampleRate);
+    const edges = Array.from({ length: MEL_BANDS + 2 }, (_, i) => binOf(melToHz(maxMel * i / (MEL_BANDS + 1))));
+
+    return Array.from({ length: MEL_BANDS }, (_, band) => {
+        const filter = new Float32Array(bins);
+        const [left, center, right] = [edges[band], edges[band + 1], edges[band + 2]];
+        for (let bin = left; bin < center; bin++) {
+            filter[bin] = (bin - left) / Math.max(1, center - left);
+        }
+        for (let bin = center; bin < right; bin++) {
+            filter[bin] = (right - bin) / Math.max(1, right - center);
+        }
+        return filter;
+    });
+}
+
+function frameDescriptors(frame, sampleRate, window, melFilters) {
+    const re = new Float64Array(FRAME_SIZE);
+    const im = new Float64Array(FRAME_SIZE);
+    let energy = 0;
+    let zeroCrossings = 0;
+    for (let i = 0; i < FRAME_SIZE; i++) {
+        re[i] = frame[i] * window[i];
+        energy += frame[i] * frame[i];
+        if (i > 0 && (frame[i] >= 0) !== (frame[i - 1] >= 0)) {
+            zeroCrossings++;
+        }
+    }
+    const rms = Math.sqrt(energy / FRAME_SIZE);
+
+    fft(re, im);
+
+    const bins = FRAME_SIZE / 2 + 1;
+    const power = new Float64Array(bins);
+    let totalMagnitude = 0;
+    let weightedFrequency = 0;
+    let logSum = 0;
+    for (let bin = 0; bin < bins; bin++) {
+        power[bin] = re[bin] * re[bin] + im[bin] * im[bin];
+        const magnitude = Math.sqrt(power[bin]);
+        totalMagnitude += magnitude;
+        weightedFrequency += magnitude * bin;
+        logSum += Math.log(magnitude + 1e-10);
+    }
+
+    const centroid = totalMagnitude > 0 ? weightedFrequency / totalMagnitude / bins : 0;
+    const flatness = totalMagnitude > 0 ? Math.exp(logSum / bins) / (totalMagnitude / bins) : 0;
+
+    let rolloffBin = 0;
+    for (let cumulative = 0; rolloffBin < bins - 1; rolloffBin++) {
+        cumulative += Math.sqrt(power[rolloffBin]);
+        if (cumulative >= 0.85 * totalMagnitude) break;
+    }
+
+    const logMel = melFilters.map(filter => {
+        let bandEnergy = 0;
+        for (let bin = 0; bin < bins; bin++) {
+            bandEnergy += filter[bin] * power[bin];
+        }
+        return Math.log(bandEnergy + 1e-10);
+    });
+
+    // DCT-II of the log mel energies, skipping the 0th (loudness) coefficient
+    const mfcc = [];
+    for (let k = 1; k <= MFCC_COUNT; k++) {
+        let sum = 0;
+        for (let band = 0; band < MEL_BANDS; band++) {
+            sum += logMel[band] * Math.cos(Math.PI * k * (band + 0.5) / MEL_BANDS);
+        }
+        mfcc.push(sum);
+    }
+
+    return {
+        rms,
+        values: [...mfcc, centroid, flatness, rolloffBin / bins, zeroCrossings / FRAME_SIZE, rms]
+    };
+}
+
+/**
+ * Compute a fixed-length descriptor vector (means and standard deviations of
+ * per-frame MFCC and spectral features) for the channel data of a decoded sample.
+ */
+export function extractFeatures(channels, sampleRate) {
+    const samples = mixToMono(channels, sampleRate);
+    const window = Float32Array.from({ length: FRAME_SIZE }, (_, i) =>
+        0.5 - 0.5 * Math.cos(2 * Math.PI * i / (FRAME_SIZE - 1)));
+    const melFilters = createMelFilterbank(sampleRate);
+
+    const frames = [];
+    const frame = new Float32Array(FRAME_SIZE);
+    for (let start = 0; start === 0 || start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+        frame.fill(0);
+        frame.set(samples.subarray(start, start + FRAME_SIZE));
+        frames.push(frameDescriptors(frame, sampleRate, window, melFilters));
+    }
+
+    const audible = frames.filter(({ rms }) => rms > SILENCE_RMS);
+    const values = (audible.length > 0 ? audible : frames).map(({ values }) => values);
+
+    const dimensions = values[0].length;
+    const means = new Array(dimensions).fill(0);
+    const deviations = new Array(dimensions).fill(0);
+    values.forEach(row => row.forEach((value, d) => means[d] += value / values.length));
+    values.forEach(row => row.forEach((value, d) => deviations[d] += (value - means[d]) ** 2 / values.length));
+
+    return [...means, ...deviations.map(Math.sqrt)];
+}
+
+function standardize(vectors) {
+    const dimensions = vectors[0].length;
+    const means = new Array(dimensions).fill(0);
+    const deviations = new Array(dimensions).fill(0);
+    vectors.forEach(vector => vector.forEach((value, d) => means[d] += value / vectors.length));
+    vectors.forEach(vector => vector.forEach((value, d) => deviations[d] += (value - means[d]) ** 2 / vectors.length));
+
+    return vectors.map(vector => vector.map((value, d) =>
+        deviations[d] > 0 ? (value - means[d]) / Math.sqrt(deviations[d]) : 0));
+}
+
+// Leading eigenvector of a symmetric matrix by power iteration
+function powerIteration(matrix) {
+    const size = matrix.length;
+    let vector = Array.from({ length: size }, (_, i) => 1 / Math.sqrt(size) + i * 1e-3);
+    let eigenvalue = 0;
+
+    for (let iteration = 0; iteration < 100; iteration++) {
+        const next = matrix.map(row => row.reduce((sum, value, i) => sum + value * vector[i], 0));
+        const norm = Math.hypot(...next);
+        if (norm === 0) return { vector: new Array(size).fill(0), eigenvalue: 0 };
+        vector = next.map(value => value / norm);
+        eigenvalue = norm;
+    }
+
+    return { vector, eigenvalue };
+}
+
+/**
+ * Project descriptor vectors onto their first two principal components.
+ * Returns one [x, y] pair per input vector.
+ */
+export function projectTo2D(vectors) {
+    if (vectors.length < 2) return vectors.map(() => [0, 0]);
+
+    const data = standardize(vectors);
+    const dimensions = data[0].length;
+    const covariance = Array.from({ length: dimensions }, (_, i) =>
+        Array.from({ length: dimensions }, (_, j) =>
+            data.reduce((sum, row) => sum + row[i] * row[j], 0) / (data.length - 1)));
+
+    const first = powerIteration(covariance);
+    // Deflate to find the second component
+    const deflated = covariance.map((row, i) =>
+        row.map((value, j) => value - first.eigenvalue * first.vector[i] * first.vector[j]));
+    const second = powerIteration(deflated);
+
+    const dot = (a, b) => a.reduce((sum, value, i) => sum + value * b[i], 0);
+    return data.map(row => [dot(row, first.vector), dot(row, second.vector)]);
+}
+
+/**
+ * Group 2D points into k clusters with k-means, seeded by farthest-first
+ * traversal so the result is deterministic. Returns a cluster index per point.
+ */
+export function clusterPoints(points, k) {
+    if (points.length === 0) return [];
+    k = Math.max(1, Math.min(k, points.length));
+
+    const distance = (a, b) => (a[0] - b[0]) ** 2 + (a[1] - b[1]) ** 2;
+    const centroids = [points[0]];
+    while (centroids.length < k) {
+        let farthest = points[0];
+        let farthestDistance = -1;
+        points.forEach(point => {
+            const nearest = Math.min(...centroids.map(centroid => distance(point, centroid)));
+            if (nearest > farthestDistance) {
+                farthest = point;
+                farthestDistance = nearest;
+            }
+        });
+        centroids.push(farthest);
+    }
+
+    let labels = [];
+    for (let iteration = 0; iteration < 50; iteration++) {
+        const nextLabels = points.map(point => {
+            const distances = centroids.map(centroid => distance(point, centroid));
+            return distances.indexOf(Math.min(...distances));
+        });
+
+        if (nextLabels.every((label, i) => label === labels[i])) break;
+        labels = nextLabels;
+
+        centroids.forEach((_, cluster) => {
+            const members = points.filter((_, i) => labels[i] === cluster);
+            if (members.length > 0) {
+                centroids[cluster] = [
+                    members.reduce((sum, point) => sum + point[0], 0) / members.length,
+                    members.reduce((sum, point) => sum + point[1], 0) / members.length
+                ];
+            }
+        });
+    }
+
+    return labels;
+}
@@ -0,0 +1,152 @@
+import {el} from '@elemaudio/core';
+
+// Insert effects for sequences, applied to [left, right] signal pairs
+
+const MAX_DELAY_SECONDS = 4;
+const MAX_REVERB_COMB_MS = 50;
+
+// Delay time in beats for each tempo-synced division
+const DELAY_DIVISIONS = {
+    '1/16': 0.25,
+    '1/8': 0.5,
+    '1/8 dotted': 0.75,
+    '1/4': 1,
+    '1/4 dotted': 1.5,
+    '1/2': 2,
+    '1 bar': 4
+};
+
+// Comb filter lengths of the reverb, slightly detuned between the channels
+const REVERB_COMB_MS = [
+    [29.7, 37.1, 41.1, 43.7],
+    [31.1, 36.3, 40.3, 45.1]
+];
+
+export const EFFECT_TYPES = {
+    filter: {
+        label: 'Filter',
+        params: {
+            mode: { label: 'Mode', options: ['lowpass', 'highpass', 'bandpass'], default: 'lowpass' },
+            cutoff: { label: 'Cutoff', min: 20, max: 20000, default: 2000, unit: 'Hz', log: true },
+            resonance: { label: 'Resonance', min: 0.5, max: 20, step: 0.1, default: 1 }
+        }
+    },
+    delay: {
+        label: 'Delay',
+        params: {
+            division: { label: 'Time', options: Object.keys(DELAY_DIVISIONS), default: '1/8 dotted' },
+            feedback: { label: 'Feedback', min: 0, max: 0.95, step: 0.01, default: 0.4 },
+            mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.3 }
+        }
+    },
+    reverb: {
+        label: 'Reverb',
+        params: {
+            decay: { label: 'Decay', min: 0.2, max: 10, step: 0.1, default: 2, unit: 's' },
+            damping: { label: 'Damping', min: 500, max: 20000, default: 6000, unit: 'Hz', log: true },
+            mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 0.25 }
+        }
+    },
+    saturator: {
+        label: 'Saturator',
+        params: {
+            drive: { label: 'Drive', min: 1, max: 20, step: 0.1, default: 3 },
+            mix: { label: 'Mix', min: 0, max: 1, step: 0.01, default: 1 }
+        }
+    }
+};
+
+let effectCounter = 0;
+
+export function createEffect(type) {
+    const params = Object.fromEntries(
+        Object.entries(EFFECT_TYPES[type].params).map(([name, param]) => [name, param.default]));
+
+    return {
+        id: `${Date.now().toString(36)}-${effectCounter++}`,
+        type,
+        bypass: false,
+        params
+    };
+}
+
+// Slider positions (0 to 1) for logarithmic parameters, plain values otherwise
+export function paramToSlider(param, value) {
+    return param.log ? Math.log(value / param.min) / Math.log(param.max / param.min) : value;
+}
+
+export function sliderToParam(param, position) {
+    return param.log ? Math.round(param.min * Math.pow(param.max / param.min, position)) : position;
+}
+
+// Keyed constants keep the effect nodes (and delay line contents) in place while parameters change
+function param(effect, name, value) {
+    return el.const({ key: `fx-${effect.id}-${name}`, value });
+}
+
+function dryWet(effect, dry, wet, mix) {
+    return el.add(
+        el.mul(dry, param(effect, 'dry', 1 - mix)),
+        el.mul(wet, param(effect, 'wet', mix))
+    );
+}
+
+function applyToChannel(effect, x, channel, { bpm, sampleRate }) {
+    const { params } = effect;
+
+    switch (effect.type) {
+        case 'filter':
+            return el.svf(
+                { mode: params.mode },
+                el.sm(param(effect, 'cutoff', params.cutoff)),
+                param(effect, 'resonance', params.resonance),
+                x
+            );
+        case 'delay': {
+            const seconds = Math.min(MAX_DELAY_SECONDS, DELAY_DIVISIONS[params.division] * 60 / bpm);
+            const wet = el.delay(
+                { key: `fx-${effect.id}-line-${channel}`, size: Math.ceil(MAX_DELAY_SECONDS * sampleRate) },
+                el.sm(param(effect, `time-${channel}`, seconds * sampleRate)),
+                param(effect, `feedback-${channel}`, params.feedback),
+                x
+            );
+            return dryWet(effect, x, wet, params.mix);
+        }
+        case 'reverb': {
+            // Parallel feedback combs (Schroeder style), feedback set for a 60 dB decay
+            const combs = REVERB_COMB_MS[channel].map((ms, index) => el.delay(
+                { key: `fx-${effect.id}-comb-${channel}-${index}`, size: Math.ceil(MAX_REVERB_COMB_MS / 1000 * sampleRate) },
+                param(effect, `comb-length-${channel}-${index}`, ms / 1000 * sampleRate),
+                param(effect, `comb-feedback-${channel}-${index}`, Math.pow(10, -3 * ms / 1000 / params.decay)),
+                x
+            ));
+            const wet = el.lowpass(
+                param(effect, 'damping', params.damping),
+                param(effect, 'damping-q', 0.707),
+                el.mul(el.add(...combs), param(effect, 'comb-gain', 1 / combs.length))
+            );
+            return dryWet(effect, x, wet, params.mix);
+        }
+        case 'saturator': {
+            const wet = el.mul(
+                el.tanh(el.mul(x, param(effect, 'drive', params.drive))),
+                param(effect, 'makeup', 1 / Math.tanh(params.drive))
+            );
+            return dryWet(effect, x, wet, params.mix);
+        }
+        default:
+            return x;
+    }
+}
+
+/**
+ * Run a stereo signal through one effect. `context` carries the sequence
+ * `bpm` (for tempo-synced delays) and the renderer `sampleRate`.
+ */
+export function applyEffect(effect, [left, right], context) {
+    if (effect.bypass || !EFFECT_TYPES[effect.type]) return [left, right];
+    return [
+        applyToChannel(effect, left, 0, context),
+        applyToChannel(effect, right, 1, context)
+    ];
+}
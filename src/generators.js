@@ -0,0 +1,71 @@
+// Seeded rhythm generators that fill or mutate a Sequence
+
+// mulberry32: small seeded PRNG returning floats in [0, 1)
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const pick = (random, items) => items[Math.floor(random() * items.length)];
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Evenly distribute `hits` onsets over `steps` (Bresenham form of Bjorklund's
+ * algorithm), starting on the downbeat and rotated right by `rotation` steps.
+ */
+export function euclideanPattern(hits, steps, rotation = 0) {
+    hits = clamp(hits, 0, steps);
+    const pattern = Array.from({ length: steps }, (_, step) =>
+        hits > 0 && Math.floor(step * hits / steps) !== Math.floor((step - 1) * hits / steps));
+    const shift = ((rotation % steps) + steps) % steps;
+    return pattern.map((_, step) => pattern[(step - shift + steps) % steps]);
+}
+
+// Replace the sequence contents with a step grid of the given length
+function resetToSteps(sequence, soundUrls, stepCount) {
+    sequence.clear();
+    sequence.mode = 'steps';
+    sequence.stepCount = stepCount;
+    soundUrls.forEach(soundUrl => sequence.addLane(soundUrl));
+}
+
+export function generateEuclidean(sequence, soundUrls, { hits, steps, rotation, seed }) {
+    const random = createRandom(seed);
+    resetToSteps(sequence, soundUrls, steps);
+    euclideanPattern(hits, steps, rotation).forEach((hit, step) => {
+        if (hit) {
+            sequence.addElement(pick(random, soundUrls), step);
+        }
+    });
+}
+
+export function generateRandom(sequence, soundUrls, { density, seed }) {
+    const random = createRandom(seed);
+    resetToSteps(sequence, soundUrls, sequence.stepCount);
+    for (let step = 0; step < sequence.stepCount; step++) {
+        if (random() < density) {
+            sequence.addElement(pick(random, soundUrls), step);
+        }
+    }
+}
+
+/**
+ * Nudge offset, pitch shift and stretch of every element by up to `amount`
+ * (0 to 1) of their range, keeping the values on the sequence slider steps.
+ */
+export function mutateSequence(sequence, { amount, seed }) {
+    const random = createRandom(seed);
+    const nudge = () => (random() * 2 - 1) * amount;
+
+    sequence.elements.forEach((element, index) => {
+        sequence.setOffset(index, clamp(Math.round((element.offset + nudge()) * 10) / 10, 0.1, 2));
+        sequence.setShift(index, clamp(Math.round(element.shift + nudge() * 12), -24, 24));
+        sequence.setStretch(index, clamp(Math.round(element.stretch * Math.pow(2, nudge()) * 4) / 4, 0.25, 4));
+    });
+}
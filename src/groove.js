@@ -0,0 +1,58 @@
+// Swing and groove templates applied to sequence start times
+
+// Grid resolutions for swing and grooves, in steps per beat
+export const GROOVE_RESOLUTIONS = {
+    '1/8': 2,
+    '1/16': 4
+};
+
+// MPC-style swing amounts: the position of every second step within its pair, 50% being straight
+export const SWING_AMOUNTS = [50, 54, 58, 62, 66, 71, 75];
+
+/**
+ * Move a start time (seconds from the sequence start) by the swing amount and an
+ * optional custom groove. Returns the new time and the groove velocity for that step.
+ */
+export function applyGroove(time, { bpm, swing = 50, swingResolution = '1/16', groove = null }) {
+    const beat = 60 / bpm;
+    let shifted = time;
+    let velocity = 1;
+
+    const swingStep = beat / GROOVE_RESOLUTIONS[swingResolution];
+    if (Math.round(time / swingStep) % 2 === 1) {
+        shifted += (swing / 50 - 1) * swingStep;
+    }
+
+    if (groove && groove.steps.length > 0) {
+        const grooveStep = beat / GROOVE_RESOLUTIONS[groove.resolution];
+        const { timing, velocity: stepVelocity } = groove.steps[Math.round(time / grooveStep) % groove.steps.length];
+        shifted += timing * grooveStep;
+        velocity = stepVelocity;
+    }
+
+    return { time: shifted, velocity };
+}
+
+/**
+ * Build a groove template from performed event times (seconds, first event on the
+ * downbeat): per grid step, the average timing deviation (in steps) and a velocity
+ * from how often the step was played.
+ */
+export function extractGroove(times, { bpm, resolution = '1/16', length = 16 }) {
+    const step = 60 / bpm / GROOVE_RESOLUTIONS[resolution];
+    const deviations = Array.from({ length }, () => []);
+
+    times.forEach(time => {
+        const index = Math.round(time / step);
+        deviations[index % length].push(time / step - index);
+    });
+
+    const maxHits = Math.max(1, ...deviations.map(hits => hits.length));
+    return {
+        resolution,
+        steps: deviations.map(hits => ({
+            timing: hits.length > 0 ? hits.reduce((sum, deviation) => sum + deviation, 0) / hits.length : 0,
+            velocity: hits.length > 0 ? 0.6 + 0.4 * hits.length / maxHits : 1
+        }))
+    };
+}
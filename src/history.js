@@ -0,0 +1,103 @@
+// Undo / redo history of edit commands
+
+// Commands with the same coalesce key pushed within this time merge into one step, e.g. a slider drag
+const COALESCE_MS = 1000;
+
+/**
+ * Paths of the values that differ between two JSON-like states, e.g. `elements.2.shift`.
+ * `continuous` is true when all of them are numbers, as set by sliders, and false when
+ * something was toggled, added or removed.
+ */
+export function diffPaths(before, after, prefix = '') {
+    if (before === after) return { paths: [], continuous: true };
+    const isObject = value => value !== null && typeof value === 'object';
+    if (!isObject(before) || !isObject(after) || Array.isArray(before) !== Array.isArray(after) ||
+        (Array.isArray(before) && before.length !== after.length)) {
+        return {
+            paths: [prefix],
+            continuous: typeof before === 'number' && typeof after === 'number'
+        };
+    }
+
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return Array.from(keys).reduce((result, key) => {
+        const child = diffPaths(before[key], after[key], prefix ? `${prefix}.${key}` : key);
+        return {
+            paths: [...result.paths, ...child.paths],
+            continuous: result.continuous && child.continuous
+        };
+    }, { paths: [], continuous: true });
+}
+
+export class History {
+    constructor({ limit = 100, onChange = () => {} } = {}) {
+        this.limit = limit;
+        this.onChange = onChange;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.applying = false; // Set while a command is undone or redone, so its side effects are not recorded
+    }
+
+    /**
+     * Record an edit that has already been made. `undo` and `redo` apply the state before
+     * and after it; `coalesceKey` merges continuous edits of the same value.
+     */
+    push({ label, undo, redo, coalesceKey = null }) {
+        if (this.applying) return;
+
+        const now = Date.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (coalesceKey && last?.coalesceKey === coalesceKey && now - last.time < COALESCE_MS && this.redoStack.length === 0) {
+            last.redo = redo;
+            last.time = now;
+            return;
+        }
+
+        this.undoStack.push({ label, undo, redo, coalesceKey, time: now });
+        if (this.undoStack.length > this.limit) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    undo() {
+        const command = this.undoStack.pop();
+        if (!command) return;
+        this.apply(command.undo);
+        this.redoStack.push(command);
+        this.onChange();
+    }
+
+    redo() {
+        const command = this.redoStack.pop();
+        if (!command) return;
+        this.apply(command.redo);
+        // A redone command never merges with the next edit
+        this.undoStack.push({ ...command, coalesceKey: null });
+        this.onChange();
+    }
+
+    apply(action) {
+        this.applying = true;
+        try {
+            action();
+        } finally {
+            this.applying = false;
+        }
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.onChange();
+    }
+
+    get undoLabel() {
+        return this.undoStack[this.undoStack.length - 1]?.label ?? null;
+    }
+
+    get redoLabel() {
+        return this.redoStack[this.redoStack.length - 1]?.label ?? null;
+    }
+}
@@ -0,0 +1,160 @@
+// Standard MIDI File (SMF) writing and reading of note patterns
+
+export const MIDI_PPQ = 480;
+
+// Notes are written on channel 10, where DAWs and drum racks expect one-shot samples
+const DRUM_CHANNEL = 9;
+
+function writeVarLength(bytes, value) {
+    const groups = [value & 0x7f];
+    while ((value >>= 7) > 0) {
+        groups.unshift((value & 0x7f) | 0x80);
+    }
+    bytes.push(...groups);
+}
+
+function writeUint32(bytes, value) {
+    bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+}
+
+/**
+ * Encode a single-track (format 0) MIDI file. `notes` are { tick, duration, note, velocity }
+ * in ticks of `ppq` per quarter note; `length` (ticks) places the end of the track,
+ * e.g. on the loop end.
+ */
+export function encodeMidiFile({ notes, bpm, timeSignature = { beats: 4, unit: 4 }, name = '', length = 0, ppq = MIDI_PPQ }) {
+    const events = [];
+    notes.forEach(({ tick, duration, note, velocity }) => {
+        events.push({ tick, order: 1, data: [0x90 | DRUM_CHANNEL, note, velocity] });
+        events.push({ tick: tick + Math.max(1, duration), order: 0, data: [0x80 | DRUM_CHANNEL, note, 0] });
+    });
+    // Note offs go before note ons on the same tick, so repeated notes are not cut short
+    events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const track = [];
+    const microsPerQuarter = Math.round(60000000 / bpm);
+    const nameBytes = Array.from(new TextEncoder().encode(name));
+    writeVarLength(track, 0);
+    track.push(0xff, 0x03);
+    writeVarLength(track, nameBytes.length);
+    track.push(...nameBytes);
+    writeVarLength(track, 0);
+    track.push(0xff, 0x51, 0x03, (microsPerQuarter >> 16) & 0xff, (microsPerQuarter >> 8) & 0xff, microsPerQuarter & 0xff);
+    writeVarLength(track, 0);
+    track.push(0xff, 0x58, 0x04, timeSignature.beats, Math.log2(timeSignature.unit), 24, 8);
+
+    let lastTick = 0;
+    events.forEach(({ tick, data }) => {
+        writeVarLength(track, tick - lastTick);
+        track.push(...data);
+        lastTick = tick;
+    });
+    writeVarLength(track, Math.max(0, length - lastTick));
+    track.push(0xff, 0x2f, 0x00);
+
+    const bytes = [0x4d, 0x54, 0x68, 0x64]; // MThd
+    writeUint32(bytes, 6);
+    bytes.push(0, 0, 0, 1, (ppq >> 8) & 0xff, ppq & 0xff);
+    bytes.push(0x4d, 0x54, 0x72, 0x6b); // MTrk
+    writeUint32(bytes, track.length);
+    bytes.push(...track);
+    return new Uint8Array(bytes);
+}
+
+/**
+ * Read the notes of a format 0 or 1 MIDI file, all tracks and channels merged. Returns
+ * { ppq, bpm, timeSignature, notes } with notes as { tick, duration, note, velocity },
+ * sorted by tick; the first tempo and time signature events are used.
+ */
+export function parseMidiFile(buffer) {
+    const view = new DataView(buffer);
+    let position = 0;
+
+    const readString = (length) => String.fromCharCode(...new Uint8Array(buffer, position, length));
+    const readVarLength = () => {
+        let value = 0;
+        let byte;
+        do {
+            byte = view.getUint8(position++);
+            value = (value << 7) | (byte & 0x7f);
+        } while (byte & 0x80);
+        return value;
+    };
+
+    if (readString(4) !== 'MThd') {
+        throw new Error('Not a MIDI file');
+    }
+    const headerLength = view.getUint32(4);
+    const trackCount = view.getUint16(10);
+    const ppq = view.getUint16(12);
+    if (ppq & 0x8000) {
+        throw new Error('SMPTE time division is not supported');
+    }
+    position = 8 + headerLength;
+
+    const result = { ppq, bpm: null, timeSignature: null, notes: [] };
+    for (let trackIndex = 0; trackIndex < trackCount && position < buffer.byteLength; trackIndex++) {
+        const chunkType = readString(4);
+        const chunkLength = view.getUint32(position + 4);
+        position += 8;
+        const end = position + chunkLength;
+        if (chunkType !== 'MTrk') {
+            position = end;
+            continue;
+        }
+
+        let tick = 0;
+        let status = 0;
+        const openNotes = new Map(); // channel:note → pending note ons
+        while (position < end) {
+            tick += readVarLength();
+            const byte = view.getUint8(position);
+            if (byte & 0x80) {
+                status = byte;
+                position++;
+            }
+
+            if (status === 0xff) {
+                const type = view.getUint8(position++);
+                const length = readVarLength();
+                if (type === 0x51 && result.bpm === null) {
+                    const micros = (view.getUint8(position) << 16) | (view.getUint8(position + 1) << 8) | view.getUint8(position + 2);
+                    result.bpm = 60000000 / micros;
+                } else if (type === 0x58 && result.timeSignature === null) {
+                    result.timeSignature = { beats: view.getUint8(position), unit: 2 ** view.getUint8(position + 1) };
+                }
+                position += length;
+                status = 0; // Meta events cancel running status
+                continue;
+            }
+            if (status === 0xf0 || status === 0xf7) {
+                position += readVarLength();
+                status = 0;
+                continue;
+            }
+
+            const type = status & 0xf0;
+            const channel = status & 0x0f;
+            const data1 = view.getUint8(position++);
+            const data2 = type === 0xc0 || type === 0xd0 ? 0 : view.getUint8(position++);
+            const key = `${channel}:${data1}`;
+
+            if (type === 0x90 && data2 > 0) {
+                const pending = openNotes.get(key) ?? [];
+                const note = { tick, duration: 0, note: data1, velocity: data2 };
+                pending.push(note);
+                openNotes.set(key, pending);
+                result.notes.push(note);
+            } else if (type === 0x80 || type === 0x90) {
+                const note = openNotes.get(key)?.shift();
+                if (note) {
+                    note.duration = tick - note.tick;
+                }
+            }
+        }
+        position = end;
+    }
+
+    result.notes.sort((a, b) => a.tick - b.tick);
+    return result;
+}
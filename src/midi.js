@@ -0,0 +1,66 @@
+// Web MIDI: port access, decoding of the messages used here and clock tempo estimation
+
+// Note mapped to the first sound on the map until notes are learned (C1, the kick on General MIDI drum maps)
+export const DEFAULT_BASE_NOTE = 36;
+
+// MIDI clock ticks per quarter note
+export const MIDI_CLOCK_PPQN = 24;
+
+// System real-time messages of the MIDI clock
+export const MIDI_CLOCK = 0xf8;
+export const MIDI_START = 0xfa;
+export const MIDI_CONTINUE = 0xfb;
+export const MIDI_STOP = 0xfc;
+
+const REALTIME_TYPES = {
+    [MIDI_CLOCK]: 'clock',
+    [MIDI_START]: 'start',
+    [MIDI_CONTINUE]: 'continue',
+    [MIDI_STOP]: 'stop'
+};
+
+const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+export function noteName(note) {
+    return `${NOTE_NAMES[note % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+export async function requestMidiAccess() {
+    if (!navigator.requestMIDIAccess) {
+        throw new Error('Web MIDI is not supported in this browser');
+    }
+    return navigator.requestMIDIAccess();
+}
+
+/**
+ * Decode a MIDI message into { type, channel, ... }: note on / off with `note` and
+ * `velocity`, control changes with `controller` and `value`, and the clock, start,
+ * continue and stop real-time messages. Other messages give null.
+ */
+export function parseMidiMessage([status, data1, data2]) {
+    if (REALTIME_TYPES[status]) {
+        return { type: REALTIME_TYPES[status] };
+    }
+
+    const type = status & 0xf0;
+    const channel = status & 0x0f;
+
+    if (type === 0x90 && data2 > 0) {
+        return { type: 'noteon', channel, note: data1, velocity: data2 };
+    }
+    // Note on with velocity 0 is the running-status form of note off
+    if (type === 0x80 || type === 0x90) {
+        return { type: 'noteoff', channel, note: data1, velocity: data2 };
+    }
+    if (type === 0xb0) {
+        return { type: 'cc', channel, controller: data1, value: data2 };
+    }
+    return null;
+}
+
+// Tempo from the timestamps (ms) of consecutive clock ticks, or null until there are two
+export function estimateClockTempo(times) {
+    if (times.length < 2) return null;
+    const tickInterval = (times[times.length - 1] - times[0]) / (times.length - 1);
+    return 60000 / (tickInterval * MIDI_CLOCK_PPQN);
+}
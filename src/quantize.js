@@ -0,0 +1,30 @@
+// Quantizing performed event times to a tempo grid
+
+// Grid resolutions in steps per quarter-note beat
+export const QUANTIZE_RESOLUTIONS = {
+    '1/4': 1,
+    '1/8': 2,
+    '1/8T': 3,
+    '1/16': 4,
+    '1/16T': 6,
+    '1/32': 8
+};
+
+/**
+ * Pull times (seconds) toward the nearest grid line; `strength` 0 keeps the
+ * performance as is, 1 snaps fully onto the grid.
+ */
+export function quantizeTimes(times, { bpm, resolution = '1/16', strength = 1 }) {
+    const step = 60 / bpm / QUANTIZE_RESOLUTIONS[resolution];
+    return times.map(time => time + strength * (Math.round(time / step) * step - time));
+}
+
+/**
+ * Smallest loop length in bars that holds `seconds`: a quarter or half bar for
+ * short material, whole bars otherwise.
+ */
+export function fitBars(seconds, barDuration) {
+    const bars = seconds / barDuration;
+    const fitting = [0.25, 0.5, 1].find(length => bars <= length + 1e-6);
+    return fitting ?? Math.ceil(bars - 1e-6);
+}
@@ -1,31 +1,148 @@
 import {el} from '@elemaudio/core';
 import WebRenderer from '@elemaudio/web-renderer';
+import {projectTo2D, clusterPoints} from './audio-features.js';
+import {encodeWav, WAV_FORMATS} from './wav-encoder.js';
+import {EFFECT_TYPES, createEffect, applyEffect, paramToSlider, sliderToParam} from './effects.js';
+import {GROOVE_RESOLUTIONS, SWING_AMOUNTS, applyGroove, extractGroove} from './groove.js';
+import {generateEuclidean, generateRandom, mutateSequence} from './generators.js';
+import {QUANTIZE_RESOLUTIONS, quantizeTimes, fitBars} from './quantize.js';
+import {
+    DEFAULT_BASE_NOTE, MIDI_CLOCK_PPQN, MIDI_CLOCK, MIDI_START, MIDI_STOP,
+    noteName, requestMidiAccess, parseMidiMessage, estimateClockTempo
+} from './midi.js';
+import {MIDI_PPQ, encodeMidiFile, parseMidiFile} from './midi-file.js';
+import {TRAJECTORY_TICK_RATE, TRAJECTORY_DIRECTIONS, TRAJECTORY_REPEATS, DEFAULT_TRAJECTORY_PLAYBACK, buildTrajectorySeq} from './trajectory-playback.js';
+import {History, diffPaths} from './history.js';
+import {TRIGGER_CONDITIONS, TRIGGER_PATTERN_CYCLES, isConditional, buildTriggerPattern} from './trigger-conditions.js';
+import {createArrangement, createClip, clipEnd, barsFor, songPosition, arrangementFromJSON, arrangementToJSON} from './arrangement.js';
 
 // Add new Sequence class before TestComponent
 class Sequence {
     constructor() {
-        this.elements = [];
-        this.bpm = 120;
-        this.bars = "1 bar";
+        // Named element lists (A, B, ...); `elements` is the selected one
+        this.patterns = [{ name: patternName(0), elements: [] }];
+        this.patternIndex = 0;
+        this.bpm = 120; // Global tempo, scaled by tempoRatio
+        this.bars = 1; // Loop length in bars, fractional lengths allowed
+        this.timeSignature = { beats: 4, unit: 4 };
+        this.tempoRatio = 1; // Tempo relative to the global BPM, for polyrhythms
         this.isRecording = false;
         this.volume = 1;
         this.isMuted = false;
         this.isSolo = false;
         this.startOffset = 0; // Add start offset property (0 to 1)
+        this.pan = 0; // -1 (left) to 1 (right)
+        this.effects = []; // Ordered insert chain, see effects.js
+        this.swing = 50; // MPC-style swing percentage, 50 is straight
+        this.swingResolution = '1/16';
+        this.grooveId = null; // Custom groove template applied on top of the swing
+        this.mode = 'offset'; // 'offset' (proportional offsets) or 'steps' (step grid)
+        this.stepCount = 16;
+        this.lanes = []; // Sounds shown as rows of the step grid
+        this.triggerSeed = Math.floor(Math.random() * 100000); // Seeds the per-loop probability rolls
+    }
+
+    get elements() {
+        return this.patterns[this.patternIndex].elements;
+    }
+
+    set elements(elements) {
+        this.patterns[this.patternIndex].elements = elements;
+    }
+
+    addPattern() {
+        if (this.patterns.length < MAX_PATTERNS) {
+            this.patterns.push({ name: patternName(this.patterns.length), elements: [] });
+        }
     }
 
-    addElement(soundUrl) {
+    selectPattern(index) {
+        if (index >= 0 && index < this.patterns.length) {
+            this.patternIndex = index;
+        }
+    }
+
+    // Replace the selected pattern with copies of `elements`, e.g. copied from another pattern
+    pastePattern(elements) {
+        this.elements = elements.map(element => ({ ...element, step: element.step % this.stepCount }));
+        if (this.mode === 'steps') {
+            this.elements.forEach(element => this.addLane(element.soundUrl));
+        }
+    }
+
+    addElement(soundUrl, step = 0) {
         this.elements.push({
             soundUrl,
             offset: 1,
+            step,
             shift: 0,
             stretch: 1,
-            duration: 1
+            duration: 1,
+            pan: 0,
+            velocity: 1,
+            probability: 1, // Chance (0 to 1) to fire in a loop
+            condition: 'always', // See TRIGGER_CONDITIONS
+            rollSeed: Math.floor(Math.random() * 2 ** 32) // Keeps this element's rolls apart from the others'
         });
     }
 
     clear() {
         this.elements = [];
+        this.lanes = [];
+    }
+
+    addLane(soundUrl) {
+        if (!this.lanes.includes(soundUrl)) {
+            this.lanes.push(soundUrl);
+        }
+    }
+
+    removeLane(soundUrl) {
+        this.lanes = this.lanes.filter(lane => lane !== soundUrl);
+        this.elements = this.elements.filter(element => element.soundUrl !== soundUrl);
+    }
+
+    toggleStep(soundUrl, step) {
+        const index = this.elements.findIndex(element =>
+            element.soundUrl === soundUrl && element.step === step);
+        if (index >= 0) {
+            this.elements.splice(index, 1);
+        } else {
+            this.addElement(soundUrl, step);
+        }
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+
+        if (mode === 'steps') {
+            // Snap the proportional positions to the grid
+            const times = this.getElementTimes();
+            this.elements.forEach((element, index) => {
+                element.step = Math.round(times[index] * this.stepCount) % this.stepCount;
+                this.addLane(element.soundUrl);
+            });
+        } else {
+            // Turn the gaps between steps into offsets relative to an even spacing
+            this.elements.sort((a, b) => a.step - b.step);
+            const meanGap = this.stepCount / Math.max(1, this.elements.length);
+            this.elements.forEach((element, index) => {
+                const nextStep = index + 1 < this.elements.length ?
+                    this.elements[index + 1].step : this.elements[0].step + this.stepCount;
+                element.offset = Math.round((nextStep - element.step) / meanGap * 10) / 10;
+            });
+        }
+        this.mode = mode;
+    }
+
+    setStepCount(stepCount) {
+        this.elements.forEach(element => {
+            element.step = Math.round(element.step * stepCount / this.stepCount) % stepCount;
+        });
+        // Steps that collapsed onto the same cell keep only one hit per sound
+        this.elements = this.elements.filter((element, index) => this.elements.findIndex(other =>
+            other.soundUrl === element.soundUrl && other.step === element.step) === index);
+        this.stepCount = stepCount;
     }
 
     setShift(index, shift) {
@@ -52,31 +169,97 @@ class Sequence {
         }
     }
 
+    setPan(index, pan) {
+        if (index >= 0 && index < this.elements.length) {
+            this.elements[index].pan = pan;
+        }
+    }
+
+    setVelocity(index, velocity) {
+        if (index >= 0 && index < this.elements.length) {
+            this.elements[index].velocity = velocity;
+        }
+    }
+
+    setProbability(index, probability) {
+        if (index >= 0 && index < this.elements.length) {
+            this.elements[index].probability = probability;
+        }
+    }
+
+    setCondition(index, condition) {
+        if (index >= 0 && index < this.elements.length) {
+            this.elements[index].condition = condition;
+        }
+    }
+
+    addEffect(type) {
+        this.effects.push(createEffect(type));
+    }
+
+    removeEffect(index) {
+        if (index >= 0 && index < this.effects.length) {
+            this.effects.splice(index, 1);
+        }
+    }
+
+    moveEffect(index, direction) {
+        const target = index + direction;
+        if (index >= 0 && index < this.effects.length && target >= 0 && target < this.effects.length) {
+            [this.effects[index], this.effects[target]] = [this.effects[target], this.effects[index]];
+        }
+    }
+
+    setEffectParam(index, name, value) {
+        if (index >= 0 && index < this.effects.length) {
+            this.effects[index].params[name] = value;
+        }
+    }
+
+    // Quarter-note tempo of this sequence
+    getTempo() {
+        return this.bpm * this.tempoRatio;
+    }
+
+    getBeatCount() {
+        return this.bars * this.timeSignature.beats;
+    }
+
+    getBarDurationInSeconds() {
+        const { beats, unit } = this.timeSignature;
+        const quarterNotesPerBar = beats * 4 / unit;
+
+        return (60 / this.getTempo()) * quarterNotesPerBar;
+    }
+
     getDurationInSeconds() {
-        const beatsPerBar = 4;
-        const barMultiplier = {
-            "1/4 bar": 0.25,
-            "1/2 bar": 0.5,
-            "1 bar": 1,
-            "2 bars": 2,
-            "3 bars": 3,
-            "4 bars": 4,
-            "8 bars": 8
-        }[this.bars] || 1;
+        return this.getBarDurationInSeconds() * this.bars;
+    }
 
-        return (60 / this.bpm) * beatsPerBar * barMultiplier;
+    // Transport position (seconds) of the next bar line of this sequence at or after `position`;
+    // a fractional last bar ends at the loop end
+    getNextBarPosition(position) {
+        const duration = this.getDurationInSeconds();
+        const loopPosition = position % duration;
+        const bar = Math.ceil(loopPosition / this.getBarDurationInSeconds() - 1e-6) * this.getBarDurationInSeconds();
+        return position - loopPosition + Math.min(bar, duration);
     }
 
-    getElementTimes() {
-        if (this.elements.length === 0) return [];
+    // Positions (0 to 1) in the loop of the selected pattern's elements, or of another pattern's
+    getElementTimes(elements = this.elements) {
+        if (elements.length === 0) return [];
+
+        if (this.mode === 'steps') {
+            return elements.map(element => element.step / this.stepCount);
+        }
 
         const positions = [];
         let totalOffset = 0;
         
-        this.elements.forEach(el => totalOffset += el.offset);
+        elements.forEach(el => totalOffset += el.offset);
         
         let currentTime = 0;
-        this.elements.forEach(el => {
+        elements.forEach(el => {
             const relativeTime = currentTime / totalOffset;
             positions.push(relativeTime);
             currentTime += el.offset;
@@ -85,11 +268,306 @@ class Sequence {
         return positions;
     }
 
+    // Start times in seconds from the loop start, before swing and groove
+    getElementStartTimes(elements = this.elements) {
+        const duration = this.getDurationInSeconds();
+        return this.getElementTimes(elements).map(time =>
+            this.startOffset * duration + time * (1 - this.startOffset) * duration);
+    }
+
+    /**
+     * Add elements starting at the given times (seconds from the loop start, ascending and
+     * within the loop): the first time becomes the start offset, the gaps the offsets.
+     */
+    addElementsAt(soundUrls, times) {
+        const duration = this.getDurationInSeconds();
+        const meanGap = (duration - times[0]) / times.length;
+        soundUrls.forEach((soundUrl, index) => {
+            const gap = (index + 1 < times.length ? times[index + 1] : duration) - times[index];
+            this.addElement(soundUrl);
+            this.setOffset(this.elements.length - 1, Math.round(gap / meanGap * 1000) / 1000);
+        });
+        this.startOffset = times[0] / duration;
+    }
+
     removeElement(index) {
         if (index >= 0 && index < this.elements.length) {
             this.elements.splice(index, 1);
         }
     }
+
+    toJSON() {
+        return {
+            elements: this.elements.map(element => ({ ...element })),
+            bpm: this.bpm,
+            bars: this.bars,
+            timeSignature: { ...this.timeSignature },
+            tempoRatio: this.tempoRatio,
+            volume: this.volume,
+            isMuted: this.isMuted,
+            isSolo: this.isSolo,
+            startOffset: this.startOffset,
+            pan: this.pan,
+            effects: this.effects.map(effect => ({ ...effect, params: { ...effect.params } })),
+            swing: this.swing,
+            swingResolution: this.swingResolution,
+            grooveId: this.grooveId,
+            mode: this.mode,
+            stepCount: this.stepCount,
+            lanes: [...this.lanes],
+            triggerSeed: this.triggerSeed,
+            patterns: this.patterns.map(pattern => ({
+                name: pattern.name,
+                elements: pattern.elements.map(element => ({ ...element }))
+            })),
+            patternIndex: this.patternIndex
+        };
+    }
+
+    static fromJSON(data) {
+        const sequence = new Sequence();
+        sequence.patterns = data.patterns.map(pattern => ({
+            name: pattern.name,
+            elements: (pattern.elements || []).map((element, index) => ({
+                soundUrl: element.soundUrl,
+                offset: element.offset ?? 1,
+                step: element.step ?? 0,
+                shift: element.shift ?? 0,
+                stretch: element.stretch ?? 1,
+                duration: element.duration ?? 1,
+                pan: element.pan ?? 0,
+                velocity: element.velocity ?? 1,
+                probability: element.probability ?? 1,
+                condition: TRIGGER_CONDITIONS[element.condition] ? element.condition : 'always',
+                rollSeed: element.rollSeed ?? index
+            }))
+        }));
+        sequence.patternIndex = Math.min(data.patternIndex ?? 0, sequence.patterns.length - 1);
+        sequence.bpm = data.bpm ?? sequence.bpm;
+        sequence.bars = data.bars ?? sequence.bars;
+        sequence.timeSignature = { ...sequence.timeSignature, ...data.timeSignature };
+        sequence.tempoRatio = data.tempoRatio ?? sequence.tempoRatio;
+        sequence.volume = data.volume ?? sequence.volume;
+        sequence.isMuted = !!data.isMuted;
+        sequence.isSolo = !!data.isSolo;
+        sequence.startOffset = data.startOffset ?? sequence.startOffset;
+        sequence.pan = data.pan ?? sequence.pan;
+        sequence.effects = (data.effects || [])
+            .filter(effect => EFFECT_TYPES[effect.type])
+            .map(effect => {
+                const defaults = createEffect(effect.type);
+                return { ...defaults, ...effect, params: { ...defaults.params, ...effect.params } };
+            });
+        sequence.swing = data.swing ?? sequence.swing;
+        sequence.swingResolution = data.swingResolution ?? sequence.swingResolution;
+        sequence.grooveId = data.grooveId ?? null;
+        sequence.mode = data.mode ?? sequence.mode;
+        sequence.stepCount = data.stepCount ?? sequence.stepCount;
+        sequence.lanes = data.lanes ? [...data.lanes] : [];
+        sequence.triggerSeed = data.triggerSeed ?? sequence.triggerSeed;
+        return sequence;
+    }
+}
+
+// Samples available before anything is imported from local files
+const DEFAULT_SAMPLE_URLS = [
+    'https://ns9648k.web.sigma2.no/evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCVR4RSQNYCM6PFBZC0TZ0HD_evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCXDE8GYPBGY6579CNEVDESS-4_0_1.wav',
+    'https://ns9648k.web.sigma2.no/evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCVR4RSQNYCM6PFBZC0TZ0HD_evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCXC5834FMVTRV3C6PZ1MH4E-4_0_1.wav',
+    'https://ns9648k.web.sigma2.no/evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCVR4RSQNYCM6PFBZC0TZ0HD_evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCX1R8B6A9QSMPEJ7D1C2WY1-4_0_1.wav'
+];
+
+// Virtual file system paths of samples imported from local files start with this prefix
+const LOCAL_SAMPLE_PREFIX = 'local:';
+const AUDIO_FILE_EXTENSIONS = ['wav', 'mp3', 'ogg', 'flac', 'aif', 'aiff', 'm4a', 'webm'];
+
+function isAudioFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    return file.type.startsWith('audio/') || AUDIO_FILE_EXTENSIONS.includes(extension);
+}
+
+// Recursively collect files from a dropped FileSystemEntry (file or directory)
+async function collectFilesFromEntry(entry) {
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ file, path: entry.fullPath.replace(/^\//, '') }];
+    }
+
+    if (entry.isDirectory) {
+        const reader = entry.createReader();
+        const children = [];
+        let batch;
+        // readEntries returns the directory contents in batches, ending with an empty one
+        do {
+            batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+            children.push(...batch);
+        } while (batch.length > 0);
+
+        const nested = await Promise.all(children.map(collectFilesFromEntry));
+        return nested.flat();
+    }
+
+    return [];
+}
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Sound map coordinate space (SVG viewBox units) and appearance
+const SOUND_MAP_WIDTH = 1000;
+const SOUND_MAP_HEIGHT = 600;
+const SOUND_MAP_MARGIN = 40;
+const SOUND_MAP_MIN_ZOOM = 0.5;
+const SOUND_MAP_MAX_ZOOM = 20;
+const MAX_SOUND_CLUSTERS = 8;
+const CLUSTER_COLORS = ['#e6194b', '#3cb44b', '#4363d8', '#f58231', '#911eb4', '#42d4f4', '#f032e6', '#9a6324'];
+
+// Signals are stereo pairs of [left, right] nodes from here on
+
+// Mono samples play the same signal on both channels
+function toStereo(channels) {
+    return channels.length === 1 ? [channels[0], channels[0]] : channels.slice(0, 2);
+}
+
+function stereoGain([left, right], gain) {
+    return [el.mul(left, el.const({value: gain})), el.mul(right, el.const({value: gain}))];
+}
+
+// Balance pan: -1 is hard left, 0 leaves the signal untouched, 1 is hard right
+function panStereo([left, right], pan) {
+    if (pan === 0) return [left, right];
+    return [
+        el.mul(left, el.const({value: Math.min(1, 1 - pan)})),
+        el.mul(right, el.const({value: Math.min(1, 1 + pan)}))
+    ];
+}
+
+// Master meter display range and falloff of the displayed level after a peak
+const METER_FLOOR_DB = -60;
+const METER_FALLOFF_DB_PER_SECOND = 20;
+
+function gainToDecibels(gain) {
+    return gain > 0 ? 20 * Math.log10(gain) : -Infinity;
+}
+
+function formatDecibels(gain) {
+    const db = gainToDecibels(gain);
+    return db === -Infinity ? '-∞ dB' : `${db.toFixed(1)} dB`;
+}
+
+function formatPan(pan) {
+    if (pan === 0) return 'C';
+    return `${Math.round(Math.abs(pan) * 100)}${pan < 0 ? 'L' : 'R'}`;
+}
+
+const STEP_COUNTS = [8, 16, 32, 64];
+
+// Keys auto-assigned to sounds, row by row; physical key codes, so the keyboard layout does not matter
+const PERFORMANCE_KEY_CODES = [
+    ...'1234567890'.split('').map(digit => `Digit${digit}`),
+    ...'QWERTYUIOPASDFGHJKLZXCVBNM'.split('').map(letter => `Key${letter}`)
+];
+
+function keyCodeLabel(code) {
+    return code.replace(/^(Key|Digit)/, '');
+}
+
+// How explore loops are fitted to the global tempo
+const LOOP_TEMPO_SYNC_MODES = {
+    off: 'Native length',
+    repitch: 'Repitch to tempo',
+    stretch: 'Stretch to tempo'
+};
+
+// Whole beats a loop of `seconds` is fitted to: single beats up to a bar, whole bars beyond
+function fitLoopBeats(seconds, bpm) {
+    const beats = Math.max(1, Math.round(seconds * bpm / 60));
+    return beats <= 4 ? beats : Math.round(beats / 4) * 4;
+}
+
+// Grids that loop, one-off and trajectory launches can be deferred to
+const LAUNCH_QUANTIZE_OPTIONS = {
+    off: 'Off',
+    beat: '1 beat',
+    bar: '1 bar',
+    sequence: 'Sequence length'
+};
+
+const TIME_SIGNATURE_UNITS = [2, 4, 8, 16];
+const TEMPO_RATIOS = ['1/2', '2/3', '3/4', '1/1', '5/4', '4/3', '3/2', '2/1'];
+
+// Pattern slots per sequence, named A to H
+const MAX_PATTERNS = 8;
+
+// An incoming MIDI clock's tempo is averaged over this many beats, and followed only once it is
+// this many bpm away from the current tempo, so jitter around x.5 bpm does not flip the tempo
+const CLOCK_FOLLOW_BEATS = 4;
+const CLOCK_FOLLOW_THRESHOLD = 1;
+
+// Seconds ahead of the main-thread transport position that a scene launch is scheduled from, so
+// the rebuilt graph reaches the audio thread before the bar it switches on
+const SCENE_LAUNCH_LOOKAHEAD = 0.05;
+
+function patternName(index) {
+    return String.fromCharCode('A'.charCodeAt(0) + index);
+}
+
+// Arranger timeline scale and the width of its lane names, in pixels
+const ARRANGEMENT_BAR_WIDTH = 24;
+const ARRANGEMENT_LANE_NAME_WIDTH = 140;
+
+// Bar lengths were stored as labels before time signatures were added, up to project version 1
+const LEGACY_BAR_LENGTHS = {
+    '1/4 bar': 0.25,
+    '1/2 bar': 0.5,
+    '1 bar': 1,
+    '2 bars': 2,
+    '3 bars': 3,
+    '4 bars': 4,
+    '8 bars': 8
+};
+
+function parseRatio(ratio) {
+    const [numerator, denominator] = ratio.split('/').map(Number);
+    return numerator / denominator;
+}
+
+// Version of the project file format written by serializeProject
+const PROJECT_SCHEMA_VERSION = 3;
+
+// Upgrades of a project file from each older version to the next
+const PROJECT_MIGRATIONS = {
+    // Version 2 stores bar lengths as numbers
+    1: data => ({
+        ...data,
+        sequences: (data.sequences || []).map(sequence => ({
+            ...sequence,
+            bars: typeof sequence.bars === 'string' ? LEGACY_BAR_LENGTHS[sequence.bars] ?? 1 : sequence.bars
+        }))
+    }),
+    // Version 3 keeps the elements of a sequence in pattern slots
+    2: data => ({
+        ...data,
+        sequences: (data.sequences || []).map(({ elements, ...sequence }) => ({
+            ...sequence,
+            patterns: sequence.patterns ?? [{ name: patternName(0), elements: elements || [] }]
+        }))
+    })
+};
+
+function migrateProject(data) {
+    let migrated = data;
+    for (let version = data.schemaVersion; version < PROJECT_SCHEMA_VERSION; version++) {
+        migrated = { ...PROJECT_MIGRATIONS[version](migrated), schemaVersion: version + 1 };
+    }
+    return migrated;
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
 }
 
 class TestComponent extends HTMLElement {
@@ -101,7 +579,43 @@ class TestComponent extends HTMLElement {
         this.initialized = false;
         this.uploadedSamples = new Set();
         this.sampleDurations = new Map();
+        this.sampleBufferRequests = new Map(); // Decoded remote samples, by URL
+        this.sampleData = new Map(); // Channel data uploaded to the virtual file system, for offline rendering
+        this.sampleFeatures = new Map(); // Audio descriptor vectors for the sound map
+        this.featureWorker = null; // Computes the descriptors, created on the first analysis
+        this.featureRequests = new Set(); // Sound URLs being analyzed
+        this.soundMapPositions = new Map(); // Sound map coordinates, by sound URL
+        this.soundMapView = { x: 0, y: 0, scale: 1 };
+        this.soundMapLayoutPending = false;
         this.loopingVoices = new Map(); // Track which sounds are currently looping
+        this.loopLaunches = new Map(); // Transport positions where each loop starts and (once stopped) ends
+        this.launchQuantize = 'off';
+
+        // Computer keyboard layer: key code → sound url, plus the key assignment mode
+        this.keyboard = {
+            enabled: true,
+            keys: new Map(),
+            assigning: false,
+            assignTarget: null
+        };
+
+        // Web MIDI input: learned note → sound url and controller → slider selector mappings
+        this.midi = {
+            access: null,
+            inputId: 'all',
+            notes: new Map(),
+            controls: new Map(),
+            learning: false,
+            learnTarget: null,
+            // Clock sync: follow incoming MIDI clock and/or send clock at the global bpm
+            clockSource: 'internal',
+            clockTimes: [], // Timestamps of the last incoming clock ticks
+            outputId: null,
+            clockOut: false,
+            clockTimer: null,
+            nextClockTime: 0
+        };
+        this.loopTempoSync = 'off';
         this.activeVoices = new Map(); // Track active one-off voices
         this.maxVoices = 4; // Maximum concurrent one-off voices
         this.mode = 'explore one-off';
@@ -119,6 +633,7 @@ class TestComponent extends HTMLElement {
         this.trajectories = new Map(); // Map of trajectory ID to trajectory data
         this.activeTrajectorySignals = new Map(); // Map of trajectory ID to active elementary signal
         this.currentRecordingId = null;
+        this.selectedTrajectoryEvents = new Map(); // Event selected in each trajectory's timeline editor
 
         // Replace single sequence with multiple sequences
         this.sequences = new Map();
@@ -136,8 +651,42 @@ class TestComponent extends HTMLElement {
             playbackRate: 1
         };
 
+        this.grooves = new Map(); // Custom groove templates extracted from trajectories
         this.activeSequenceId = null; // Add tracking for active sequence
         this.soloSequences = new Set(); // Track which sequences are soloed
+
+        // Master bus settings and the displayed meter levels
+        this.masterParams = {
+            gain: 1,
+            limiter: true,
+            threshold: -3 // dB
+        };
+        this.meterLevels = new Map(); // { level, time } of each meter, as last displayed
+        this.core.on('meter', (e) => this.handleMeterEvent(e));
+
+        // Shared transport followed by sequences, trajectories and loops
+        this.transport = {
+            playing: false,
+            generation: 0, // Keys the transport counter; a new one restarts everything in phase
+            startedAt: 0, // Audio context time of the last (re)start
+            frame: null
+        };
+
+        // Undo / redo of edits; sequence edits are found by comparing against the last snapshot
+        this.history = new History({ onChange: () => this.updateHistoryUI() });
+        this.sequenceSnapshots = new Map();
+
+        // Pattern copy / paste between sequences, and scenes that switch every sequence's pattern
+        this.patternClipboard = null;
+        this.scenes = []; // { name, patterns: [{ sequenceId, pattern }] }
+        this.activeSceneIndex = null;
+        this.pendingScene = null; // { index, timeoutId } of a scene waiting for the next bar
+        this.patternSwitches = new Map(); // Map of sequence ID to the { pattern, position } it switches to on the audio clock
+
+        // Song arrangement; in song mode its clips decide which sequences and trajectories sound when
+        this.arrangement = createArrangement();
+        this.arrangementTrajectorySignals = new Map(); // Map of clip ID to the signal of a trajectory clip
+        this.selectedClipId = null;
     }
 
     async initializeAudio() {
@@ -149,11 +698,12 @@ class TestComponent extends HTMLElement {
             if (!this.initialized) {
                 const node = await this.core.initialize(this.ctx, {
                     numberOfInputs: 0,
-                    numberOfOutputs: 1,
-                    outputChannelCount: [2], // Stereo output
+                    numberOfOutputs: 2,
+                    outputChannelCount: [2, 2], // Stereo output, and the master meter taps that go nowhere
                 });
-                node.connect(this.ctx.destination);
+                node.connect(this.ctx.destination, 0);
                 this.initialized = true;
+                this.playTransport();
             }
             
             return true;
@@ -163,101 +713,421 @@ class TestComponent extends HTMLElement {
         }
     }
 
-    createOneOffVoice(soundUrl) {
+    async ensureAudioInitialized() {
+        if (this.initialized) return true;
+
+        const success = await this.initializeAudio();
+        if (success) {
+            this.shadowRoot.querySelector('#init-audio').disabled = true;
+        }
+        return success;
+    }
+
+    async registerSampleBuffer(soundUrl, sampleBuffer) {
+        const channelData = Array.from({ length: sampleBuffer.numberOfChannels },
+            (_, channel) => sampleBuffer.getChannelData(channel));
+        await this.core.updateVirtualFileSystem({
+            [soundUrl]: channelData
+        });
+
+        this.sampleData.set(soundUrl, channelData);
+        this.uploadedSamples.add(soundUrl);
+        this.sampleDurations.set(soundUrl, sampleBuffer.duration);
+        this.analyzeSampleBuffer(soundUrl, sampleBuffer);
+    }
+
+    fetchSampleBuffer(soundUrl) {
+        if (!this.sampleBufferRequests.has(soundUrl)) {
+            const request = fetch(soundUrl)
+                .then(res => res.arrayBuffer())
+                .then(data => this.ctx.decodeAudioData(data));
+            // Allow a later retry when the request fails
+            request.catch(() => this.sampleBufferRequests.delete(soundUrl));
+            this.sampleBufferRequests.set(soundUrl, request);
+        }
+        return this.sampleBufferRequests.get(soundUrl);
+    }
+
+    async loadSample(soundUrl) {
+        if (this.uploadedSamples.has(soundUrl)) return;
+
+        if (soundUrl.startsWith(LOCAL_SAMPLE_PREFIX)) {
+            throw new Error(`Local sample ${soundUrl} has to be imported again`);
+        }
+
+        const sampleBuffer = await this.fetchSampleBuffer(soundUrl);
+        await this.registerSampleBuffer(soundUrl, sampleBuffer);
+    }
+
+    async analyzeSample(soundUrl) {
+        try {
+            this.analyzeSampleBuffer(soundUrl, await this.fetchSampleBuffer(soundUrl));
+        } catch (error) {
+            console.error('Failed to analyze sample:', soundUrl, error);
+        }
+    }
+
+    // The descriptors are computed in a worker; the sound map is laid out again as each one arrives
+    analyzeSampleBuffer(soundUrl, sampleBuffer) {
+        if (this.sampleFeatures.has(soundUrl) || this.featureRequests.has(soundUrl)) return;
+
+        if (!this.featureWorker) {
+            this.featureWorker = new Worker(new URL('./audio-features-worker.js', import.meta.url), { type: 'module' });
+            this.featureWorker.addEventListener('message', ({ data: { soundUrl, features, error } }) => {
+                this.featureRequests.delete(soundUrl);
+                if (error) {
+                    console.error('Failed to analyze sample:', soundUrl, error);
+                    return;
+                }
+                this.sampleFeatures.set(soundUrl, features);
+                this.scheduleSoundMapLayout();
+            });
+        }
+
+        this.featureRequests.add(soundUrl);
+        const channels = Array.from({ length: sampleBuffer.numberOfChannels },
+            (_, channel) => sampleBuffer.getChannelData(channel));
+        this.featureWorker.postMessage({ soundUrl, channels, sampleRate: sampleBuffer.sampleRate });
+    }
+
+    scheduleSoundMapLayout() {
+        if (this.soundMapLayoutPending) return;
+
+        this.soundMapLayoutPending = true;
+        requestAnimationFrame(() => {
+            this.soundMapLayoutPending = false;
+            this.updateSoundMapLayout();
+        });
+    }
+
+    updateSoundMapLayout() {
+        const elements = Array.from(this.shadowRoot.querySelectorAll('.sound-map .element'));
+        const analyzed = elements.filter(element => this.sampleFeatures.has(element.dataset.sound));
+        const pending = elements.filter(element => !this.sampleFeatures.has(element.dataset.sound));
+
+        // Place analyzed samples by their first two principal components, scaled to fit the map
+        const points = projectTo2D(analyzed.map(element => this.sampleFeatures.get(element.dataset.sound)));
+        const scaleAxis = (axis, size) => {
+            const values = points.map(point => point[axis]);
+            const min = Math.min(...values);
+            const range = Math.max(...values) - min;
+            return value => range > 0 ?
+                SOUND_MAP_MARGIN + (value - min) / range * (size - 2 * SOUND_MAP_MARGIN) :
+                size / 2;
+        };
+        const scaleX = scaleAxis(0, SOUND_MAP_WIDTH);
+        const scaleY = scaleAxis(1, SOUND_MAP_HEIGHT);
+
+        const clusterCount = Math.min(MAX_SOUND_CLUSTERS, Math.max(1, Math.round(Math.sqrt(points.length / 2))));
+        const clusters = clusterPoints(points, clusterCount);
+
+        analyzed.forEach((element, index) => {
+            this.soundMapPositions.set(element.dataset.sound, {
+                x: scaleX(points[index][0]),
+                y: scaleY(points[index][1])
+            });
+            element.parentNode.classList.remove('pending');
+            element.style.setProperty('--cluster-color', CLUSTER_COLORS[clusters[index] % CLUSTER_COLORS.length]);
+        });
+
+        // Samples without descriptors yet wait in a row along the bottom edge
+        pending.forEach((element, index) => {
+            this.soundMapPositions.set(element.dataset.sound, {
+                x: SOUND_MAP_MARGIN + (index * 20) % (SOUND_MAP_WIDTH - 2 * SOUND_MAP_MARGIN),
+                y: SOUND_MAP_HEIGHT - SOUND_MAP_MARGIN / 2
+            });
+            element.parentNode.classList.add('pending');
+        });
+
+        this.renderSoundMapView();
+    }
+
+    renderSoundMapView() {
+        const { x, y, scale } = this.soundMapView;
+        this.shadowRoot.querySelector('.sound-map-viewport')
+            .setAttribute('transform', `translate(${x} ${y}) scale(${scale})`);
+
+        // Counter-scale the points so they keep their size while zooming
+        this.shadowRoot.querySelectorAll('.sound-map .element').forEach(element => {
+            const position = this.soundMapPositions.get(element.dataset.sound);
+            if (position) {
+                element.parentNode.setAttribute('transform',
+                    `translate(${position.x} ${position.y}) scale(${1 / scale})`);
+            }
+        });
+    }
+
+    setupSoundMapNavigation(svg) {
+        const toMapPoint = (e) => new DOMPoint(e.clientX, e.clientY)
+            .matrixTransform(svg.getScreenCTM().inverse());
+        let panStart = null;
+
+        svg.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const point = toMapPoint(e);
+            const view = this.soundMapView;
+            const scale = Math.min(SOUND_MAP_MAX_ZOOM,
+                Math.max(SOUND_MAP_MIN_ZOOM, view.scale * Math.exp(-e.deltaY * 0.001)));
+
+            // Keep the point under the cursor in place
+            view.x = point.x - (point.x - view.x) * scale / view.scale;
+            view.y = point.y - (point.y - view.y) * scale / view.scale;
+            view.scale = scale;
+            this.renderSoundMapView();
+        }, { passive: false });
+
+        svg.addEventListener('pointerdown', (e) => {
+            if (e.target.classList.contains('element')) return;
+            panStart = { point: toMapPoint(e), x: this.soundMapView.x, y: this.soundMapView.y };
+            svg.setPointerCapture(e.pointerId);
+            svg.classList.add('panning');
+        });
+
+        svg.addEventListener('pointermove', (e) => {
+            if (!panStart) return;
+            const point = toMapPoint(e);
+            this.soundMapView.x = panStart.x + point.x - panStart.point.x;
+            this.soundMapView.y = panStart.y + point.y - panStart.point.y;
+            this.renderSoundMapView();
+        });
+
+        const endPan = () => {
+            panStart = null;
+            svg.classList.remove('panning');
+        };
+        svg.addEventListener('pointerup', endPan);
+        svg.addEventListener('pointercancel', endPan);
+
+        svg.addEventListener('dblclick', (e) => {
+            if (e.target.classList.contains('element')) return;
+            this.soundMapView = { x: 0, y: 0, scale: 1 };
+            this.renderSoundMapView();
+        });
+    }
+
+    async importLocalFiles(files) {
+        if (!await this.ensureAudioInitialized()) return;
+
+        const audioFiles = files
+            .filter(({ file }) => isAudioFile(file))
+            .sort((a, b) => a.path.localeCompare(b.path));
+
+        for (const { file, path } of audioFiles) {
+            const soundUrl = `${LOCAL_SAMPLE_PREFIX}${path}`;
+            try {
+                const sampleBuffer = await this.ctx.decodeAudioData(await file.arrayBuffer());
+                await this.registerSampleBuffer(soundUrl, sampleBuffer);
+            } catch (error) {
+                console.error('Failed to import sample:', path, error);
+                continue;
+            }
+
+            if (!this.getSoundElement(soundUrl)) {
+                this.addSoundElement(soundUrl, file.name.replace(/\.[^.]+$/, ''));
+            }
+        }
+    }
+
+    // Channels to play from a sample: its own channel count, capped to the stereo output
+    getSampleChannelCount(soundUrl) {
+        return Math.min(2, this.sampleData.get(soundUrl)?.length ?? 1);
+    }
+
+    createOneOffVoice(soundUrl, launchPosition = null, velocity = 1) {
         const voiceKey = `voice-${Date.now()}`;
-        return el.mul(
-            el.mc.sample(
+        // A quantized launch waits for the transport to reach its position
+        const trigger = launchPosition === null
+            ? el.const({ key: `${voiceKey}-trigger`, value: 1 })
+            : el.ge(this.getTransportTime(), el.const({ key: `${voiceKey}-launch`, value: launchPosition }));
+        return stereoGain(
+            toStereo(el.mc.sample(
                 {
-                    channels: 1,
+                    channels: this.getSampleChannelCount(soundUrl),
                     path: soundUrl, 
                     mode: 'trigger',
                     playbackRate: this.sampleParams.playbackRate,
                     startOffset: this.sampleParams.startOffset,
                     endOffset: this.sampleParams.endOffset
                 },
-                el.const({ key: `${voiceKey}-trigger`, value: 1 }),
+                trigger,
                 1
-            )[0],
-            el.const({ value: 1 / this.maxVoices }) // Dynamic gain scaling
+            )),
+            velocity / this.maxVoices // Dynamic gain scaling
         );
     }
 
-    createLoopingVoice(soundUrl, duration) {
-        // Create a time signal that loops based on the sample duration
-        const time = el.mod(
-            el.div(el.time(), el.sr()),
-            duration
+    // `launch` holds the transport positions (seconds) the loop starts and, if set, stops at
+    createLoopingVoice(soundUrl, duration, launch = this.loopLaunches.get(soundUrl) ?? { start: 0, stop: null }) {
+        const { playbackRate, startOffset, endOffset } = this.sampleParams;
+        const trimmedLength = Math.max(0.01, duration - (startOffset + endOffset) / this.ctx.sampleRate);
+        const nativeLength = trimmedLength / playbackRate;
+        // Tempo sync fits the loop to a whole number of beats at the global bpm
+        const loopLength = this.loopTempoSync === 'off'
+            ? nativeLength
+            : fitLoopBeats(nativeLength, this.globalBpm) * 60 / this.globalBpm;
+
+        const transportTime = this.getTransportTime();
+        const start = el.const({ key: `loop-${soundUrl}-start`, value: launch.start });
+
+        // Create a time signal that loops based on the sample duration, retriggering
+        // the sample at each loop start from its launch position on the transport
+        const time = el.mod(el.max(el.const({ value: 0 }), el.sub(transportTime, start)), loopLength);
+        const trigger = el.mul(
+            el.ge(transportTime, start),
+            el.lt(time, el.const({ value: loopLength / 2 }))
         );
 
-        // Create a looping sequence with the sample, now using sample parameters
-        return el.mul(
-            el.mc.sample({
-                channels: 1,
+        let voice;
+        if (this.loopTempoSync === 'stretch') {
+            // Time-stretch the trimmed sample over the loop length; the playback rate only sets the
+            // pitch, as it would when repitching at the native length. Silent until launched.
+            const stretch = loopLength / trimmedLength;
+            // Sequence time runs ahead by the stretched start offset, so each loop starts on the trim
+            const offset = startOffset / this.ctx.sampleRate * stretch;
+            const stretched = toStereo(el.mc.sampleseq2({
+                channels: this.getSampleChannelCount(soundUrl),
                 path: soundUrl,
-                mode: 'loop',
-                playbackRate: this.sampleParams.playbackRate,
-                startOffset: this.sampleParams.startOffset,
-                endOffset: this.sampleParams.endOffset
-            }, el.const({ value: 1 }), el.const({ value: 1 }))[0],
-            el.const({ value: 1 / this.maxVoices })
-        );
+                duration,
+                seq: [
+                    { time: 0, value: 1 },
+                    { time: offset + loopLength, value: 0 }
+                ],
+                shift: 12 * Math.log2(playbackRate),
+                stretch
+            }, el.add(time, el.const({ value: offset }))));
+            const launched = el.ge(transportTime, start);
+            voice = stereoGain(stretched.map(channel => el.mul(channel, launched)), 1 / this.maxVoices);
+        } else {
+            // Create a looping sequence with the sample, now using sample parameters; repitching changes its rate
+            voice = stereoGain(
+                toStereo(el.mc.sample({
+                    channels: this.getSampleChannelCount(soundUrl),
+                    path: soundUrl,
+                    mode: 'trigger',
+                    playbackRate,
+                    startOffset,
+                    endOffset
+                }, trigger, el.const({ key: `loop-${soundUrl}-rate`, value: nativeLength / loopLength }))),
+                1 / this.maxVoices
+            );
+        }
+        if (launch.stop === null) return voice;
+
+        // A quantized stop fades the loop out at its stop position
+        const gate = el.sm(el.lt(transportTime, el.const({ key: `loop-${soundUrl}-stop`, value: launch.stop })));
+        return voice.map(channel => el.mul(channel, gate));
     }
 
-    createSequenceVoices(sequence) {
-        if (sequence.elements.length === 0) return null;
+    /**
+     * The sample voices of a list of elements, played from `time` (seconds, as a signal) and
+     * looped over the sequence length. Elements with a probability or condition are gated per
+     * hit by a precomputed pattern; the gate changes only where a hit starts.
+     */
+    createElementVoices(sequence, elements, time) {
+        const sequenceDuration = sequence.getDurationInSeconds();
+        const startTimes = sequence.getElementStartTimes(elements);
+        const grooveSettings = {
+            bpm: sequence.getTempo(),
+            swing: sequence.swing,
+            swingResolution: sequence.swingResolution,
+            groove: this.grooves.get(sequence.grooveId) ?? null
+        };
+
+        const triggerPattern = elements.some(isConditional) ?
+            buildTriggerPattern(elements, startTimes, sequence.triggerSeed) : null;
+        // Index into the trigger pattern of the loop cycle that the hit at `startTime` belongs to;
+        // it only moves on when the next hit starts, so a ringing hit is never cut off
+        const patternCycleAt = (startTime) => {
+            const cycle = el.floor(el.div(el.sub(time, startTime), sequenceDuration));
+            return el.select(
+                el.ge(cycle, 1),
+                el.add(1, el.mod(el.sub(cycle, 1), TRIGGER_PATTERN_CYCLES)),
+                0
+            );
+        };
+        const loopTime = el.mod(time, sequenceDuration);
+
+        return elements.map((element, index) => {
+            if (!this.uploadedSamples.has(element.soundUrl)) {
+                console.warn('Sample not loaded:', element.soundUrl);
+                return null;
+            }
+
+            const sampleDuration = this.sampleDurations.get(element.soundUrl);
+            // Swing and groove may push the start past either end of the loop, so wrap it
+            const groove = applyGroove(startTimes[index], grooveSettings);
+            const startTime = ((groove.time % sequenceDuration) + sequenceDuration) % sequenceDuration;
+            const endTime = Math.max(startTime + sampleDuration, sequenceDuration);
+
+            try {
+                const voice = toStereo(el.mc.sampleseq2({
+                    channels: this.getSampleChannelCount(element.soundUrl),
+                    path: element.soundUrl,
+                    duration: sampleDuration * element.duration,
+                    seq: [
+                        { time: startTime, value: 1 },
+                        { time: endTime, value: 0 }
+                    ],
+                    shift: element.shift,
+                    stretch: element.stretch
+                }, loopTime));
+
+                const gain = groove.velocity * element.velocity;
+                if (triggerPattern && isConditional(element)) {
+                    const gate = el.sparseq2({
+                        seq: triggerPattern[index]
+                            .map((fires, cycleIndex) => ({ time: cycleIndex, value: fires ? gain : 0 }))
+                            .filter((entry, cycleIndex, entries) =>
+                                cycleIndex === 0 || entry.value !== entries[cycleIndex - 1].value)
+                    }, patternCycleAt(startTime));
+                    return panStereo(voice.map(channel => el.mul(channel, gate)), element.pan);
+                }
+                return panStereo(
+                    gain === 1 ? voice : stereoGain(voice, gain),
+                    element.pan
+                );
+            } catch (error) {
+                console.error('Failed to create sample sequencer:', error);
+                return null;
+            }
+        }).filter(voice => voice !== null);
+    }
+
+    /**
+     * The mixed and processed signal of a sequence: its selected pattern following the
+     * transport or, in song mode, its arrangement clips.
+     * `parts` ({ elements, time, gate }): patterns gated on and off over time, i.e. the clips
+     * in song mode or the patterns around a scene switch; null plays the selected pattern.
+     */
+    createSequenceVoices(sequence, parts = null) {
+        if (parts ? parts.length === 0 : sequence.elements.length === 0) return null;
 
         // Check if sequence should be silent due to mute/solo status
         const anySolo = this.soloSequences.size > 0;
         const isSilent = sequence.isMuted || (anySolo && !sequence.isSolo);
-        if (isSilent) return el.const({value: 0});
+        if (isSilent) return this.mixSignals([]);
 
-        const sequenceDuration = sequence.getDurationInSeconds();
-        const times = sequence.getElementTimes();
         try {
-            // Create array of sample sequencers
-            const voices = sequence.elements.map((element, index) => {
-                if (!this.uploadedSamples.has(element.soundUrl)) {
-                    console.warn('Sample not loaded:', element.soundUrl);
-                    return null;
-                }
-
-                const sampleDuration = this.sampleDurations.get(element.soundUrl);
-                // Add sequence start offset to the timing calculation
-                const startTime = sequence.startOffset * sequenceDuration + 
-                                times[index] * (1 - sequence.startOffset) * sequenceDuration;
-                const endTime = Math.max(startTime + sampleDuration, sequenceDuration);
-
-                const time = el.mod(
-                  el.div(el.time(), el.sr()),
-                  sequenceDuration
-                );
-
-                try {
-                  return el.sampleseq2({
-                      path: element.soundUrl,
-                      duration: sampleDuration * element.duration,
-                      seq: [
-                          { time: startTime, value: 1 },
-                          { time: endTime, value: 0 }
-                      ],
-                      shift: element.shift,
-                      stretch: element.stretch
-                    }, 
-                    // el.div(el.time(), el.sr())
-                    time
-                  );
-                } catch (error) {
-                    console.error('Failed to create sample sequencer:', error);
-                    return null;
-                }
-            }).filter(voice => voice !== null);
+            const voices = parts ?
+                parts.map(({ elements, time, gate }) => {
+                    const partVoices = this.createElementVoices(sequence, elements, time);
+                    if (partVoices.length === 0) return null;
+                    return this.mixSignals(partVoices).map(channel => el.mul(channel, gate));
+                }).filter(voice => voice !== null) :
+                this.createElementVoices(sequence, sequence.elements, this.getTransportTime());
 
             if (voices.length === 0) return null;
 
-            // Sum all voices and apply gain
-            return voices.length === 1 ? 
-                el.mul(voices[0], el.const({value: sequence.volume / this.maxVoices})) :
-                el.mul(el.add(...voices), el.const({value: sequence.volume / this.maxVoices}));
+            // Sum all voices, run them through the insert chain, then apply gain and the sequence pan
+            const effectContext = { bpm: sequence.getTempo(), sampleRate: this.ctx.sampleRate };
+            const processed = sequence.effects.reduce(
+                (signal, effect) => applyEffect(effect, signal, effectContext),
+                this.mixSignals(voices)
+            );
+            return panStereo(
+                stereoGain(processed, sequence.volume / this.maxVoices),
+                sequence.pan
+            );
         } catch (error) {
             console.error('Error in createSequenceVoices:', error);
             return null;
@@ -269,7 +1139,7 @@ class TestComponent extends HTMLElement {
             const sequence = this.sequences.get(sequenceId);
             if (!sequence) return;
 
-            const signal = this.createSequenceVoices(sequence);
+            const signal = this.createSequenceVoices(sequence, this.getSequenceParts(sequenceId, sequence));
             if (signal) {
                 this.sequenceSignals.set(sequenceId, signal);
             } else {
@@ -283,50 +1153,300 @@ class TestComponent extends HTMLElement {
         }
     }
 
-    updateAudioGraph() {
-        let signal;
+    // Patterns of a sequence that play at different times: its clips in song mode, or the patterns
+    // before and after a pending scene switch. Null when the selected pattern just plays.
+    getSequenceParts(sequenceId, sequence) {
+        if (this.arrangement.songMode) {
+            return this.getSourceClips('sequence', sequenceId).map(clip => ({
+                elements: sequence.patterns[clip.pattern]?.elements ?? [],
+                time: this.getClipTime(clip),
+                gate: this.getClipGate(clip)
+            }));
+        }
+
+        const patternSwitch = this.patternSwitches.get(sequenceId);
+        if (!patternSwitch) return null;
+        const time = this.getTransportTime();
+        const switched = el.ge(time, el.const({ key: `pattern-switch-${sequenceId}`, value: patternSwitch.position }));
+        return [
+            { elements: sequence.elements, time, gate: el.sub(1, switched) },
+            { elements: sequence.patterns[patternSwitch.pattern].elements, time, gate: switched }
+        ];
+    }
+
+    // Per-channel sum of the given stereo signals, or silence when there are none
+    mixSignals(signals) {
+        if (signals.length === 0) return [el.const({value: 0}), el.const({value: 0})];
+        if (signals.length === 1) return signals[0];
+        return [
+            el.add(...signals.map(([left]) => left)),
+            el.add(...signals.map(([, right]) => right))
+        ];
+    }
 
+    // Looping or one-off voices, depending on the explore mode
+    getExploreSignals() {
         if (this.mode === 'explore looping') {
-            // For looping mode, sum all active looping voices
-            if (this.loopingVoices.size > 0) {
-                const voices = Array.from(this.loopingVoices.values());
-                signal = el.add(...voices);
-            } else {
-                signal = el.const({value: 0}); // Silence
-            }
+            return Array.from(this.loopingVoices.values());
         } else if (this.mode === 'explore one-off') {
-            // For one-off mode, sum all active voices
-            if (this.activeVoices.size > 0) {
-                const voices = Array.from(this.activeVoices.values());
-                signal = voices.length === 1 ? voices[0] : el.add(...voices);
-            } else {
-                signal = el.const({value: 0}); // Silence
-            }
+            return Array.from(this.activeVoices.values());
         }
+        return [];
+    }
 
-        // Add all sequence signals if active
-        if (this.sequenceSignals.size > 0) {
-            const seqSignals = Array.from(this.sequenceSignals.values());
-            const seqMix = seqSignals.length === 1 ? 
-                seqSignals[0] : el.add(...seqSignals);
-            signal = signal ? el.add(signal, seqMix) : seqMix;
-        }
+    // Master fader and stereo-linked soft limiter
+    applyMasterBus([left, right]) {
+        const gain = el.sm(el.const({key: 'master-gain', value: this.masterParams.gain}));
+        let channels = [el.mul(left, gain), el.mul(right, gain)];
 
-        // Add trajectory signals
-        if (this.activeTrajectorySignals.size > 0) {
-            const trajectorySignals = Array.from(this.activeTrajectorySignals.values());
-            const trajectoryMix = trajectorySignals.length === 1 ? 
-                trajectorySignals[0] : el.add(...trajectorySignals);
-            
-            signal = signal ? el.add(signal, trajectoryMix) : trajectoryMix;
+        if (this.masterParams.limiter) {
+            const sidechain = el.max(el.abs(channels[0]), el.abs(channels[1]));
+            channels = channels.map(x => el.skcompress(
+                el.const({key: 'master-limiter-attack', value: 1}),
+                el.const({key: 'master-limiter-release', value: 100}),
+                el.const({key: 'master-limiter-threshold', value: this.masterParams.threshold}),
+                el.const({key: 'master-limiter-ratio', value: 20}),
+                el.const({key: 'master-limiter-knee', value: 6}),
+                sidechain,
+                x
+            ));
         }
 
-        if (!signal) {
-            signal = el.const({value: 0});
-        }
+        return channels;
+    }
+
+    // Peak and RMS meters of the master output, rendered to the second output so they stay out of the audio
+    getMasterMeters(channels) {
+        return channels.map((x, index) => {
+            const side = index === 0 ? 'left' : 'right';
+            const rms = el.sqrt(el.smooth(el.tau2pole(0.3), el.mul(x, x)));
+            return el.add(
+                el.meter({key: `master-peak-${side}`, name: `master-peak-${side}`}, x),
+                el.meter({key: `master-rms-${side}`, name: `master-rms-${side}`}, rms)
+            );
+        });
+    }
+
+    // Position of the shared transport in seconds, as a signal
+    getTransportTime() {
+        return el.div(
+            el.counter(el.const({ key: `transport-run-${this.transport.generation}`, value: 1 })),
+            el.sr()
+        );
+    }
+
+    // Transport position in seconds as seen from the main thread, for display and launch positions
+    getTransportPosition() {
+        return this.transport.playing ? this.ctx.currentTime - this.transport.startedAt : 0;
+    }
+
+    // Length in seconds of the launch quantization grid, or 0 when launches are immediate
+    getLaunchQuantum() {
+        const bar = this.getBarSeconds();
+        switch (this.launchQuantize) {
+            case 'beat':
+                return 60 / this.globalBpm;
+            case 'bar':
+                return bar;
+            case 'sequence':
+                return this.sequences.get(this.activeSequenceId)?.getDurationInSeconds() ?? bar;
+            default:
+                return 0;
+        }
+    }
+
+    // Transport position (seconds) of the next launch boundary, or the current position when not quantized
+    getLaunchPosition() {
+        const position = this.getTransportPosition();
+        const quantum = this.getLaunchQuantum();
+        if (!this.transport.playing || quantum === 0) return position;
+        return Math.ceil(position / quantum - 1e-6) * quantum;
+    }
+
+    playTransport() {
+        if (!this.transport.playing) {
+            this.restartTransport();
+        }
+    }
+
+    restartTransport() {
+        this.transport.playing = true;
+        this.transport.generation++;
+        this.transport.startedAt = this.ctx.currentTime;
+        this.rebuildTransportSignals();
+        this.updateTransportUI();
+        this.sendMidiTransport(true);
+    }
+
+    stopTransport() {
+        this.transport.playing = false;
+        this.updateAudioGraph();
+        this.updateTransportUI();
+        this.sendMidiTransport(false);
+    }
+
+    // Signals hold on to the transport counter they were built with, so rebuild them all after a restart
+    rebuildTransportSignals() {
+        // Pending pattern switches are positioned on the old transport run
+        this.finishSceneLaunch();
+        this.loopLaunches.forEach(launch => {
+            launch.start = 0;
+        });
+        this.updateLoopingVoices();
+        this.sequences.forEach((_, id) => this.updateSequencePlayback(id));
+        this.trajectories.forEach((trajectory, id) => {
+            if (trajectory.isPlaying) {
+                this.playTrajectory(id, { restart: true, position: 0 });
+            }
+        });
+        this.updateArrangementTrajectorySignals();
+        this.updateAudioGraph();
+    }
+
+    // Rebuild the looping voices after a change in their settings
+    updateLoopingVoices() {
+        this.loopingVoices.forEach((_, soundUrl) => {
+            this.loopingVoices.set(soundUrl, this.createLoopingVoice(soundUrl, this.sampleDurations.get(soundUrl)));
+        });
+        this.updateAudioGraph();
+    }
+
+    updateTransportUI() {
+        this.shadowRoot.querySelector('#transport-play').classList.toggle('active', this.transport.playing);
+        cancelAnimationFrame(this.transport.frame);
+        this.updateTransportPosition();
+    }
+
+    // Bars:beats display (the song position in song mode), refreshed every frame while the transport plays
+    updateTransportPosition() {
+        const { songMode, loop, length } = this.arrangement;
+        const beats = songMode ? this.getSongPosition() * 4 : this.getTransportPosition() * this.globalBpm / 60;
+        this.shadowRoot.querySelector('#transport-position').textContent =
+            `${Math.floor(beats / 4) + 1}:${Math.floor(beats % 4) + 1}`;
+        this.updateArrangementPlayhead();
+
+        // The song stops at its end unless it loops
+        if (this.transport.playing && songMode && !loop.enabled && beats / 4 >= length) {
+            this.stopTransport();
+            return;
+        }
+
+        if (this.transport.playing) {
+            this.transport.frame = requestAnimationFrame(() => this.updateTransportPosition());
+        }
+    }
+
+    updateAudioGraph() {
+        // Sequences, trajectories and loops follow the transport; one-off voices always sound
+        const { playing } = this.transport;
+        const [left, right] = this.applyMasterBus(this.mixSignals([
+            ...(playing || this.mode !== 'explore looping' ? this.getExploreSignals() : []),
+            ...(playing ? [...this.sequenceSignals.values(), ...this.getTrajectorySignals()] : [])
+        ]));
+
+        this.core.render(left, right, ...this.getMasterMeters([left, right]));
+    }
+
+    handleMeterEvent({ source, min, max }) {
+        if (!source?.startsWith('master-')) return;
+
+        const level = Math.max(Math.abs(min), Math.abs(max));
+        // Meter events arrive once per audio block, so the falloff goes by the time since the last one
+        const now = performance.now();
+        const previous = this.meterLevels.get(source);
+        const decayed = previous ?
+            previous.level * 10 ** (-METER_FALLOFF_DB_PER_SECOND * (now - previous.time) / 1000 / 20) :
+            0;
+        const displayed = Math.max(level, decayed);
+        this.meterLevels.set(source, { level: displayed, time: now });
+
+        const bar = this.shadowRoot.querySelector(`.meter-bar[data-meter="${source}"]`);
+        if (bar) {
+            const percent = (gainToDecibels(displayed) - METER_FLOOR_DB) / -METER_FLOOR_DB * 100;
+            bar.style.width = `${Math.max(0, Math.min(100, percent))}%`;
+        }
+
+        const readout = this.shadowRoot.querySelector(`.meter-value[data-meter="${source}"]`);
+        if (readout) {
+            readout.textContent = formatDecibels(displayed);
+        }
+
+        if (level >= 1) {
+            this.shadowRoot.querySelector(`.clip-indicator[data-meter="${source}"]`)?.classList.add('clipping');
+        }
+    }
+
+    async renderOffline(signal, seconds) {
+        const sampleRate = this.ctx.sampleRate;
+        const offlineCtx = new OfflineAudioContext(2, Math.ceil(seconds * sampleRate), sampleRate);
+        const renderer = new WebRenderer();
+
+        const node = await renderer.initialize(offlineCtx, {
+            numberOfInputs: 0,
+            numberOfOutputs: 1,
+            outputChannelCount: [2],
+            processorOptions: {
+                virtualFileSystem: Object.fromEntries(this.sampleData)
+            }
+        });
+        node.connect(offlineCtx.destination);
+
+        await renderer.render(...signal);
+        const rendered = await offlineCtx.startRendering();
+        return [rendered.getChannelData(0), rendered.getChannelData(1)];
+    }
+
+    async exportMix({ length, unit, format, stems }) {
+        const seconds = unit === 'bars' ? length * this.getBarSeconds() : length;
+        if (!(seconds > 0)) {
+            throw new Error(`Invalid export length: ${length} ${unit}`);
+        }
+        const sampleRate = this.ctx.sampleRate;
+        const timestamp = Date.now();
+
+        // One-off voices are transient and left out of the bounce. Loops and trajectories start
+        // with it rather than at the transport position they were launched at live.
+        const loops = this.mode === 'explore looping' ?
+            Array.from(this.loopingVoices.keys(), soundUrl => {
+                const launch = this.loopLaunches.get(soundUrl) ?? { start: 0, stop: null };
+                return this.createLoopingVoice(soundUrl, this.sampleDurations.get(soundUrl), {
+                    start: 0,
+                    stop: launch.stop === null ? null : launch.stop - launch.start
+                });
+            }) :
+            [];
+        const trajectories = this.arrangement.songMode ?
+            this.getTrajectorySignals() :
+            Array.from(this.activeTrajectorySignals.keys(), trajectoryId =>
+                this.createTrajectoryVoices(trajectoryId, this.getTransportTime()));
+
+        const renders = [];
+        if (stems) {
+            const anySolo = this.soloSequences.size > 0;
+            this.sequenceSignals.forEach((signal, sequenceId) => {
+                const sequence = this.sequences.get(sequenceId);
+                if (sequence.isMuted || (anySolo && !sequence.isSolo)) return;
+                renders.push({ name: `sequence-${sequenceId}`, signal });
+            });
+            if (loops.length > 0 || trajectories.length > 0) {
+                renders.push({ name: 'loops-and-trajectories', signal: this.mixSignals([...loops, ...trajectories]) });
+            }
+        } else {
+            renders.push({
+                name: 'mix',
+                signal: this.mixSignals([...loops, ...this.sequenceSignals.values(), ...trajectories])
+            });
+        }
 
-        // Render the same signal to both channels for proper stereo
-        this.core.render(signal, signal);
+        for (const { name, signal } of renders) {
+            // Stems are taken before the master bus, the full mix after it
+            const channels = await this.renderOffline(
+                stems ? signal : this.applyMasterBus(signal),
+                seconds
+            );
+            const wav = encodeWav(channels, sampleRate, format);
+            downloadBlob(new Blob([wav], { type: 'audio/wav' }), `${name}-${timestamp}.wav`);
+        }
     }
 
     async toggleLoopingSound(element) {
@@ -336,48 +1456,57 @@ class TestComponent extends HTMLElement {
         const isLooping = this.loopingVoices.has(soundUrl);
 
         if (isLooping) {
-            // Stop looping
-            this.loopingVoices.delete(soundUrl);
-            element.classList.remove('looping');
+            const launch = this.loopLaunches.get(soundUrl);
+            const position = this.getLaunchPosition();
+            const delay = position - this.getTransportPosition();
+
+            if (launch.stop !== null) {
+                // Toggling again before a quantized stop keeps the loop running
+                clearTimeout(launch.timeoutId);
+                launch.stop = null;
+                element.classList.remove('launch-pending');
+            } else if (delay > 0) {
+                // Stop at the next launch boundary, then clean up
+                launch.stop = position;
+                launch.timeoutId = setTimeout(() => {
+                    this.loopingVoices.delete(soundUrl);
+                    this.loopLaunches.delete(soundUrl);
+                    element.classList.remove('looping', 'launch-pending');
+                    this.updateAudioGraph();
+                }, delay * 1000);
+                element.classList.add('launch-pending');
+            } else {
+                // Stop looping
+                this.loopingVoices.delete(soundUrl);
+                this.loopLaunches.delete(soundUrl);
+                element.classList.remove('looping');
+                this.updateAudioGraph();
+                return;
+            }
         } else {
             // Start looping
-            if (!this.uploadedSamples.has(soundUrl)) {
-                const res = await fetch(soundUrl);
-                const sampleBuffer = await this.ctx.decodeAudioData(await res.arrayBuffer());
-                
-                await this.core.updateVirtualFileSystem({
-                    [soundUrl]: [sampleBuffer.getChannelData(0)]
-                });
-                
-                this.uploadedSamples.add(soundUrl);
-                this.sampleDurations.set(soundUrl, sampleBuffer.duration);
-            }
+            await this.loadSample(soundUrl);
 
-            const duration = this.sampleDurations.get(soundUrl);
-            const loopingVoice = this.createLoopingVoice(soundUrl, duration);
-            this.loopingVoices.set(soundUrl, loopingVoice);
+            const start = this.getLaunchPosition();
+            const delay = start - this.getTransportPosition();
+            this.loopLaunches.set(soundUrl, { start, stop: null });
             element.classList.add('looping');
+            if (delay > 0) {
+                element.classList.add('launch-pending');
+                setTimeout(() => element.classList.remove('launch-pending'), delay * 1000);
+            }
         }
 
+        const duration = this.sampleDurations.get(soundUrl);
+        this.loopingVoices.set(soundUrl, this.createLoopingVoice(soundUrl, duration));
         this.updateAudioGraph();
     }
 
-    async playOneOffSound(element) {
+    async playOneOffSound(element, velocity = 1) {
         if (!this.initialized) return;
 
         const soundUrl = element.getAttribute('data-sound');
-        
-        if (!this.uploadedSamples.has(soundUrl)) {
-            const res = await fetch(soundUrl);
-            const sampleBuffer = await this.ctx.decodeAudioData(await res.arrayBuffer());
-            
-            await this.core.updateVirtualFileSystem({
-                [soundUrl]: [sampleBuffer.getChannelData(0)]
-            });
-            
-            this.uploadedSamples.add(soundUrl);
-            this.sampleDurations.set(soundUrl, sampleBuffer.duration);
-        }
+        await this.loadSample(soundUrl);
 
         const duration = this.sampleDurations.get(soundUrl);
 
@@ -387,9 +1516,11 @@ class TestComponent extends HTMLElement {
             this.activeVoices.delete(oldestKey);
         }
 
-        // Create unique voice ID and voice
+        // Create unique voice ID and voice, deferred to the next launch boundary when quantized
         const voiceId = `${soundUrl}-${Date.now()}`;
-        const voice = this.createOneOffVoice(soundUrl);
+        const launchPosition = this.getLaunchPosition();
+        const delay = launchPosition - this.getTransportPosition();
+        const voice = this.createOneOffVoice(soundUrl, delay > 0 ? launchPosition : null, velocity);
         this.activeVoices.set(voiceId, voice);
 
         // Update the audio graph with all active voices
@@ -400,7 +1531,7 @@ class TestComponent extends HTMLElement {
           this.activeVoices.delete(voiceId);
           this.voiceTimeouts.delete(voiceId);
           this.updateAudioGraph();
-        }, duration * 1000);
+        }, (delay + duration) * 1000);
         
         this.voiceTimeouts.set(voiceId, timeoutId);
     }
@@ -412,26 +1543,474 @@ class TestComponent extends HTMLElement {
     }
 
     createTrajectoryElement(trajectoryId) {
+        const trajectory = this.trajectories.get(trajectoryId);
         const el = document.createElement('div');
         el.classList.add('trajectory-item');
+        el.dataset.id = trajectoryId;
         el.innerHTML = `
             <span>Trajectory ${trajectoryId}</span>
+            <button class="play-trajectory">Play</button>
             <button class="stop-trajectory">Stop</button>
             <button class="clear-trajectory">Clear</button>
+            <button class="extract-groove">Extract Groove</button>
+            <select class="quantize-resolution">
+                ${Object.keys(QUANTIZE_RESOLUTIONS).map(resolution => `
+                    <option value="${resolution}" ${resolution === '1/16' ? 'selected' : ''}>${resolution}</option>
+                `).join('')}
+            </select>
+            <label>
+                Strength <span class="quantize-strength-value">100%</span>
+                <input type="range" class="quantize-strength" min="0" max="1" step="0.05" value="1">
+            </label>
+            <button class="to-sequence">To Sequence</button>
+            <button class="export-trajectory-midi">Export MIDI</button>
+            <div class="trajectory-playback">
+                <label>
+                    Speed <span class="trajectory-speed-value">${trajectory.speed}x</span>
+                    <input type="range" class="trajectory-speed" min="0.25" max="4" step="0.25" value="${trajectory.speed}">
+                </label>
+                <select class="trajectory-direction">
+                    ${Object.entries(TRAJECTORY_DIRECTIONS).map(([direction, label]) => `
+                        <option value="${direction}" ${direction === trajectory.direction ? 'selected' : ''}>${label}</option>
+                    `).join('')}
+                </select>
+                <select class="trajectory-repeats">
+                    ${TRAJECTORY_REPEATS.map(repeats => `
+                        <option value="${repeats}" ${repeats === trajectory.repeats ? 'selected' : ''}>
+                            ${repeats === 0 ? 'Loop' : repeats === 1 ? 'One-shot' : `${repeats}x`}
+                        </option>
+                    `).join('')}
+                </select>
+                <label>
+                    <input type="checkbox" class="trajectory-bar-sync" ${trajectory.barSync ? 'checked' : ''}>
+                    Sync to bars
+                </label>
+            </div>
+            <div class="trajectory-timeline"></div>
+            <div class="trajectory-event-editor" hidden>
+                <select class="event-sound"></select>
+                <button class="duplicate-event">Duplicate</button>
+                <button class="delete-event">Delete</button>
+            </div>
         `;
         
+        el.querySelector('.export-trajectory-midi').addEventListener('click', () => {
+            this.exportTrajectoryMidi(trajectoryId);
+        });
+
+        el.querySelector('.play-trajectory').addEventListener('click', () => {
+            this.playTrajectory(trajectoryId, { restart: true });
+        });
+
+        // Playback settings apply live to a playing trajectory
+        const updatePlayback = (changes) => {
+            Object.assign(trajectory, changes);
+            if (trajectory.isPlaying) {
+                this.playTrajectory(trajectoryId);
+            }
+            this.updateArrangementTrajectorySignals();
+            this.updateAudioGraph();
+        };
+        el.querySelector('.trajectory-speed').addEventListener('input', (e) => {
+            el.querySelector('.trajectory-speed-value').textContent = `${e.target.value}x`;
+            updatePlayback({ speed: parseFloat(e.target.value) });
+        });
+        el.querySelector('.trajectory-direction').addEventListener('change', (e) => {
+            updatePlayback({ direction: e.target.value });
+        });
+        el.querySelector('.trajectory-repeats').addEventListener('change', (e) => {
+            updatePlayback({ repeats: parseInt(e.target.value) });
+        });
+        el.querySelector('.trajectory-bar-sync').addEventListener('change', (e) => {
+            updatePlayback({ barSync: e.target.checked });
+        });
+
+        el.querySelector('.event-sound').addEventListener('change', async (e) => {
+            const selected = this.selectedTrajectoryEvents.get(trajectoryId);
+            if (!selected) return;
+            try {
+                await this.loadSample(e.target.value);
+            } catch (error) {
+                console.error('Failed to load sample:', error);
+                return;
+            }
+            selected.soundUrl = e.target.value;
+            this.commitTrajectoryEdit(trajectoryId);
+        });
+
+        el.querySelector('.duplicate-event').addEventListener('click', () => {
+            const selected = this.selectedTrajectoryEvents.get(trajectoryId);
+            if (!selected) return;
+            const loopEnd = trajectory.events[trajectory.events.length - 1].time;
+            const copy = { time: Math.min(selected.time + 0.1, loopEnd), soundUrl: selected.soundUrl };
+            trajectory.events.push(copy);
+            this.selectedTrajectoryEvents.set(trajectoryId, copy);
+            this.commitTrajectoryEdit(trajectoryId);
+        });
+
+        el.querySelector('.delete-event').addEventListener('click', () => {
+            const selected = this.selectedTrajectoryEvents.get(trajectoryId);
+            if (!selected) return;
+            trajectory.events = trajectory.events.filter(evt => evt !== selected);
+            this.selectedTrajectoryEvents.delete(trajectoryId);
+            this.commitTrajectoryEdit(trajectoryId);
+        });
+        
+        el.querySelector('.quantize-strength').addEventListener('input', (e) => {
+            el.querySelector('.quantize-strength-value').textContent = `${Math.round(e.target.value * 100)}%`;
+        });
+
+        el.querySelector('.to-sequence').addEventListener('click', () => {
+            this.convertTrajectoryToSequence(trajectoryId, {
+                resolution: el.querySelector('.quantize-resolution').value,
+                strength: parseFloat(el.querySelector('.quantize-strength').value)
+            });
+        });
+        
+        el.querySelector('.extract-groove').addEventListener('click', () => {
+            this.extractTrajectoryGroove(trajectoryId);
+        });
+        
         el.querySelector('.stop-trajectory').addEventListener('click', () => {
             this.stopTrajectoryPlayback(trajectoryId);
         });
         
         el.querySelector('.clear-trajectory').addEventListener('click', () => {
-            this.clearTrajectory(trajectoryId);
-            el.remove();
+            this.removeTrajectory(trajectoryId);
         });
         
         return el;
     }
 
+    // Sort edited events back into time order (end marker last), redraw and re-render playback
+    commitTrajectoryEdit(trajectoryId) {
+        const trajectory = this.trajectories.get(trajectoryId);
+        const endMarker = trajectory.events.find(evt => !evt.soundUrl);
+        trajectory.events = [
+            ...trajectory.events.filter(evt => evt.soundUrl).sort((a, b) => a.time - b.time),
+            endMarker
+        ];
+
+        this.renderTrajectoryTimeline(trajectoryId);
+        if (trajectory.isPlaying) {
+            this.playTrajectory(trajectoryId);
+        }
+        this.updateArrangementTrajectorySignals();
+        this.updateAudioGraph();
+    }
+
+    dragOnTimeline(timeline, downEvent, extent, onMove, onEnd) {
+        const target = downEvent.target;
+        const toTime = (e) => {
+            const rect = timeline.getBoundingClientRect();
+            return Math.min(extent, Math.max(0, (e.clientX - rect.left) / rect.width * extent));
+        };
+        const move = (e) => onMove(toTime(e));
+        const end = () => {
+            target.removeEventListener('pointermove', move);
+            target.removeEventListener('pointerup', end);
+            target.removeEventListener('pointercancel', end);
+            onEnd();
+        };
+
+        target.setPointerCapture(downEvent.pointerId);
+        target.addEventListener('pointermove', move);
+        target.addEventListener('pointerup', end);
+        target.addEventListener('pointercancel', end);
+        return toTime(downEvent);
+    }
+
+    renderTrajectoryTimeline(trajectoryId) {
+        const trajectory = this.trajectories.get(trajectoryId);
+        const item = this.shadowRoot.querySelector(`.trajectory-item[data-id="${trajectoryId}"]`);
+        if (!trajectory || !item) return;
+
+        const timeline = item.querySelector('.trajectory-timeline');
+        const editor = item.querySelector('.trajectory-event-editor');
+        const endMarker = trajectory.events.find(evt => !evt.soundUrl);
+        // Nothing to edit until the recording has its end marker
+        if (!endMarker) {
+            timeline.innerHTML = '';
+            editor.hidden = true;
+            return;
+        }
+
+        const soundEvents = trajectory.events.filter(evt => evt.soundUrl);
+        const selected = this.selectedTrajectoryEvents.get(trajectoryId);
+        // Leave room after the end marker so the loop can be extended
+        const extent = Math.max(endMarker.time, ...soundEvents.map(evt => evt.time), 0.1) * 1.25;
+        const toPercent = (time) => `${time / extent * 100}%`;
+
+        timeline.innerHTML = `
+            <div class="timeline-loop"></div>
+            ${soundEvents.map((evt, index) => `
+                <div class="timeline-event ${evt === selected ? 'selected' : ''}" data-index="${index}"
+                     style="left: ${toPercent(evt.time)}" title="${evt.time.toFixed(2)} s">
+                    ${this.getSoundName(evt.soundUrl)}
+                </div>
+            `).join('')}
+            <div class="timeline-marker loop-start" title="Loop start"></div>
+            <div class="timeline-marker loop-end" title="Loop end"></div>
+        `;
+
+        const loopRegion = timeline.querySelector('.timeline-loop');
+        const loopStartMarker = timeline.querySelector('.loop-start');
+        const loopEndMarker = timeline.querySelector('.loop-end');
+        const updateLoopMarkers = () => {
+            loopRegion.style.left = toPercent(trajectory.loopStart);
+            loopRegion.style.width = toPercent(endMarker.time - trajectory.loopStart);
+            loopStartMarker.style.left = toPercent(trajectory.loopStart);
+            loopEndMarker.style.left = toPercent(endMarker.time);
+        };
+        updateLoopMarkers();
+
+        const refreshPlayback = () => {
+            if (trajectory.isPlaying) {
+                this.playTrajectory(trajectoryId);
+            }
+        };
+
+        timeline.querySelectorAll('.timeline-event').forEach(block => {
+            const evt = soundEvents[parseInt(block.dataset.index)];
+            block.addEventListener('pointerdown', (e) => {
+                this.selectedTrajectoryEvents.set(trajectoryId, evt);
+                timeline.querySelectorAll('.timeline-event').forEach(other =>
+                    other.classList.toggle('selected', other === block));
+                this.updateTrajectoryEventEditor(trajectoryId);
+
+                const startTime = evt.time;
+                const grabTime = this.dragOnTimeline(timeline, e, extent, (time) => {
+                    evt.time = Math.max(0, Math.min(endMarker.time, startTime + time - grabTime));
+                    block.style.left = toPercent(evt.time);
+                    refreshPlayback();
+                }, () => this.commitTrajectoryEdit(trajectoryId));
+            });
+        });
+
+        loopStartMarker.addEventListener('pointerdown', (e) => {
+            this.dragOnTimeline(timeline, e, extent, (time) => {
+                trajectory.loopStart = Math.min(time, endMarker.time - 0.01);
+                updateLoopMarkers();
+                refreshPlayback();
+            }, () => this.commitTrajectoryEdit(trajectoryId));
+        });
+
+        loopEndMarker.addEventListener('pointerdown', (e) => {
+            this.dragOnTimeline(timeline, e, extent, (time) => {
+                endMarker.time = Math.max(time, trajectory.loopStart + 0.01);
+                updateLoopMarkers();
+                refreshPlayback();
+            }, () => this.commitTrajectoryEdit(trajectoryId));
+        });
+
+        this.updateTrajectoryEventEditor(trajectoryId);
+    }
+
+    updateTrajectoryEventEditor(trajectoryId) {
+        const item = this.shadowRoot.querySelector(`.trajectory-item[data-id="${trajectoryId}"]`);
+        const editor = item.querySelector('.trajectory-event-editor');
+        const selected = this.selectedTrajectoryEvents.get(trajectoryId);
+        editor.hidden = !selected;
+        if (!selected) return;
+
+        editor.querySelector('.event-sound').innerHTML = Array.from(
+            this.shadowRoot.querySelectorAll('.sound-map .element'), element => `
+                <option value="${element.dataset.sound}" ${element.dataset.sound === selected.soundUrl ? 'selected' : ''}>
+                    ${this.getSoundName(element.dataset.sound)}
+                </option>
+            `).join('');
+    }
+
+    convertTrajectoryToSequence(trajectoryId, { resolution, strength }) {
+        const trajectory = this.trajectories.get(trajectoryId);
+        if (!trajectory) return;
+
+        // Only the trimmed loop is converted, timed from the loop start; the end marker (or the
+        // last event) sets its end, as in playback
+        const endMarker = trajectory.events.find(evt => !evt.soundUrl) ?? trajectory.events[trajectory.events.length - 1];
+        const { loopStart } = trajectory;
+        const events = trajectory.events.filter(evt =>
+            evt.soundUrl && evt.time >= loopStart && evt.time < endMarker.time);
+        if (events.length === 0) return;
+
+        const [loopLength, ...times] = quantizeTimes(
+            [endMarker.time - loopStart, ...events.map(evt => evt.time - loopStart)],
+            { bpm: this.globalBpm, resolution, strength }
+        );
+
+        const sequence = new Sequence();
+        sequence.bpm = this.globalBpm;
+        // Events have to start before the loop end, not on it
+        sequence.bars = fitBars(Math.max(loopLength, times[times.length - 1] + 1e-3), sequence.getDurationInSeconds());
+        sequence.addElementsAt(events.map(evt => evt.soundUrl), times);
+
+        const sequenceId = Date.now();
+        this.addSequence(sequenceId, sequence);
+        new Set(events.map(evt => evt.soundUrl)).forEach(soundUrl =>
+            this.getSoundElement(soundUrl)?.classList.add(`in-sequence-${sequenceId}`));
+        this.updateSequenceElementsUI(sequenceId);
+        this.updateSequencePlayback(sequenceId);
+    }
+
+    /**
+     * Download `notes` ({ note, soundUrl, shift, start, length } in seconds, optional velocity
+     * from 0 to 1) as a MIDI file, with a JSON map from note numbers to sample urls and pitch
+     * shifts next to it. `note` is the preferred note of the sound and shift.
+     */
+    downloadMidi(name, notes, { bpm, timeSignature, length }) {
+        // Each sound and pitch shift gets a note of its own, so the map can tell them apart;
+        // one that lands on a note already taken moves up to the next free one
+        const noteMap = {};
+        const pairNotes = new Map();
+        const assignNote = ({ note, soundUrl, shift }) => {
+            const pair = `${shift}:${soundUrl}`;
+            if (!pairNotes.has(pair)) {
+                let free = note;
+                let tried = 1;
+                while (noteMap[free] && tried < 128) {
+                    free = (free + 1) % 128;
+                    tried++;
+                }
+                if (noteMap[free]) {
+                    throw new Error('Too many different sounds for one MIDI file');
+                }
+                noteMap[free] = { soundUrl, shift };
+                pairNotes.set(pair, free);
+            }
+            return pairNotes.get(pair);
+        };
+
+        const toTicks = (seconds) => Math.round(seconds * bpm / 60 * MIDI_PPQ);
+        const midi = encodeMidiFile({
+            notes: notes.map(({ start, length, velocity = 100 / 127, ...pair }) => ({
+                note: assignNote(pair),
+                tick: toTicks(start),
+                duration: toTicks(length),
+                velocity: Math.max(1, Math.round(velocity * 127))
+            })),
+            bpm,
+            timeSignature,
+            name,
+            length: toTicks(length)
+        });
+
+        downloadBlob(new Blob([midi], { type: 'audio/midi' }), `${name}.mid`);
+        downloadBlob(new Blob([JSON.stringify(noteMap, null, 2)], { type: 'application/json' }), `${name}.notes.json`);
+    }
+
+    // One note per element: its index (its grid row in step mode) up from the base note, plus its pitch shift
+    exportSequenceMidi(sequenceId) {
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence || sequence.elements.length === 0) return;
+
+        const duration = sequence.getDurationInSeconds();
+        const startTimes = sequence.getElementStartTimes();
+        const notes = sequence.elements.map((element, index) => {
+            const row = sequence.mode === 'steps' ? sequence.lanes.indexOf(element.soundUrl) : index;
+            const sampleLength = (this.sampleDurations.get(element.soundUrl) ?? 0.25) * element.duration;
+            return {
+                note: Math.max(0, Math.min(127, DEFAULT_BASE_NOTE + row + element.shift)),
+                soundUrl: element.soundUrl,
+                shift: element.shift,
+                velocity: element.velocity,
+                start: startTimes[index],
+                length: Math.min(sampleLength, duration - startTimes[index])
+            };
+        });
+
+        this.downloadMidi(`sequence-${sequenceId}`, notes, {
+            bpm: sequence.getTempo(),
+            timeSignature: sequence.timeSignature,
+            length: duration
+        });
+    }
+
+    // One note per distinct sound, in order of appearance, over the trimmed loop at the global bpm
+    exportTrajectoryMidi(trajectoryId) {
+        const trajectory = this.trajectories.get(trajectoryId);
+        const endMarker = trajectory?.events.find(evt => !evt.soundUrl);
+        if (!endMarker) return;
+
+        const loopLength = endMarker.time - trajectory.loopStart;
+        const events = trajectory.events.filter(evt =>
+            evt.soundUrl && evt.time >= trajectory.loopStart && evt.time < endMarker.time);
+        const sounds = [...new Set(events.map(evt => evt.soundUrl))];
+        const notes = events.map(evt => {
+            const start = evt.time - trajectory.loopStart;
+            return {
+                note: Math.min(127, DEFAULT_BASE_NOTE + sounds.indexOf(evt.soundUrl)),
+                soundUrl: evt.soundUrl,
+                shift: 0,
+                start,
+                length: Math.min(this.sampleDurations.get(evt.soundUrl) ?? 0.25, loopLength - start)
+            };
+        });
+
+        this.downloadMidi(`trajectory-${trajectoryId}`, notes, {
+            bpm: this.globalBpm,
+            timeSignature: { beats: 4, unit: 4 },
+            length: loopLength
+        });
+    }
+
+    /**
+     * Build a sequence from a MIDI file. Notes map to sounds through a `.notes.json` map
+     * selected along with it, or else up from the base note in the order of the sounds.
+     * Positions are kept in beats, so the sequence follows the global bpm.
+     */
+    async importMidiFiles(files) {
+        const midiFile = files.find(file => /\.midi?$/i.test(file.name));
+        if (!midiFile) {
+            throw new Error('No MIDI file selected');
+        }
+        const mapFile = files.find(file => file.name.endsWith('.json'));
+        const noteMap = mapFile ? JSON.parse(await mapFile.text()) : null;
+        const { ppq, timeSignature, notes } = parseMidiFile(await midiFile.arrayBuffer());
+
+        const soundElements = Array.from(this.shadowRoot.querySelectorAll('.sound-map .element'));
+        const mapNote = (note) => {
+            if (noteMap) return noteMap[note] ?? null;
+            const element = soundElements[note - DEFAULT_BASE_NOTE];
+            return element ? { soundUrl: element.dataset.sound, shift: 0 } : null;
+        };
+
+        const mapped = [];
+        for (const note of notes) {
+            const target = mapNote(note.note);
+            if (!target) continue;
+            try {
+                await this.loadSample(target.soundUrl);
+            } catch (error) {
+                console.warn('Skipping note without a loadable sample:', note.note, error);
+                continue;
+            }
+            mapped.push({ ...target, tick: note.tick, velocity: note.velocity / 127 });
+        }
+        if (mapped.length === 0) {
+            throw new Error('No notes in the MIDI file map to sounds');
+        }
+
+        const sequence = new Sequence();
+        sequence.bpm = this.globalBpm;
+        if (timeSignature && TIME_SIGNATURE_UNITS.includes(timeSignature.unit)) {
+            sequence.timeSignature = timeSignature;
+        }
+        const times = mapped.map(({ tick }) => tick / ppq * 60 / sequence.getTempo());
+        sequence.bars = Math.max(1, Math.ceil((times[times.length - 1] + 1e-3) / sequence.getDurationInSeconds()));
+        sequence.addElementsAt(mapped.map(({ soundUrl }) => soundUrl), times);
+        mapped.forEach(({ shift, velocity }, index) => {
+            sequence.setShift(index, shift ?? 0);
+            sequence.setVelocity(index, velocity);
+        });
+
+        const sequenceId = Date.now();
+        this.addSequence(sequenceId, sequence);
+        new Set(mapped.map(({ soundUrl }) => soundUrl)).forEach(soundUrl =>
+            this.getSoundElement(soundUrl)?.classList.add(`in-sequence-${sequenceId}`));
+        this.updateSequenceElementsUI(sequenceId);
+        this.updateSequencePlayback(sequenceId);
+    }
+
     startTrajectoryRecording() {
         this.isRecording = true;
         this.currentRecordingId = Date.now();
@@ -439,7 +2018,10 @@ class TestComponent extends HTMLElement {
         
         const trajectoryData = {
             events: [],
-            isPlaying: false
+            isPlaying: false,
+            loopStart: 0, // Trimmed loop start in seconds; the end marker event is the loop end
+            ...DEFAULT_TRAJECTORY_PLAYBACK,
+            startPosition: 0 // Transport position (seconds) where playback started
         };
         
         this.trajectories.set(this.currentRecordingId, trajectoryData);
@@ -483,60 +2065,95 @@ class TestComponent extends HTMLElement {
         
         this.isRecording = false;
         this.playTrajectory(this.currentRecordingId);
+        this.renderTrajectoryTimeline(this.currentRecordingId);
+
+        const trajectoryId = this.currentRecordingId;
+        const data = this.serializeTrajectory(trajectoryId);
+        this.renderArrangement();
+        this.history.push({
+            label: 'Record trajectory',
+            undo: () => this.removeTrajectory(trajectoryId),
+            redo: () => this.addTrajectory(trajectoryId, data)
+        });
         this.currentRecordingId = null;
         
         this.shadowRoot.querySelectorAll('.element').forEach(el => 
             el.classList.remove('recording'));
     }
 
-    async playTrajectory(trajectoryId) {
+    async playTrajectory(trajectoryId, { restart = false, position = null } = {}) {
         const trajectory = this.trajectories.get(trajectoryId);
         if (!trajectory || trajectory.events.length === 0) return;
         
+        // Playback starts from the top at the next launch position, e.g. to replay a finished one-shot
+        if (restart || !trajectory.isPlaying) {
+            trajectory.startPosition = position ?? this.getLaunchPosition();
+        }
         trajectory.isPlaying = true;
+
+        // Seconds elapsed on the transport since this trajectory started
+        const elapsed = el.max(
+            el.const({value: 0}),
+            el.sub(this.getTransportTime(), el.const({key: `trajectory-${trajectoryId}-start`, value: trajectory.startPosition}))
+        );
         
-        // Create timing signal with unique key for this trajectory
-        const ticker = el.train(100);
-        
-        const seq = trajectory.events.map((evt, i) => ({
-            tickTime: Math.round(evt.time * 100)+1, // +1 so that the first tick is within the loop range, and not at its edge
-            value: i+1, // +1 to have all sound ticks non-zero
-            soundUrl: evt.soundUrl
-        }));
-        const firstTick = seq[0].tickTime-1; // -1 so that the first tick is within the loop range, and not at its edge
-        const latestEndpoint = seq[seq.length - 1].tickTime;
+        this.activeTrajectorySignals.set(trajectoryId, this.createTrajectoryVoices(trajectoryId, elapsed));
+        this.updateAudioGraph();
+    }
+
+    /**
+     * The sample players of a trajectory played from the top, `elapsed` seconds (a signal) in.
+     * `keyId` keeps the node keys apart when one trajectory is played more than once at a time.
+     */
+    createTrajectoryVoices(trajectoryId, elapsed, keyId = trajectoryId) {
+        const trajectory = this.trajectories.get(trajectoryId);
+
+        // Events may be out of order while they are being dragged in the timeline editor
+        const soundEvents = trajectory.events
+            .filter(evt => evt.soundUrl)
+            .sort((a, b) => a.time - b.time);
+        const endMarker = trajectory.events.find(evt => !evt.soundUrl) ?? soundEvents[soundEvents.length - 1];
+        const { seq, cycleTicks, loop } = buildTrajectorySeq(soundEvents, {
+            loopStart: trajectory.loopStart,
+            loopEnd: endMarker.time,
+            direction: trajectory.direction,
+            repeats: trajectory.repeats
+        });
+
+        // The tick rate sets the playback speed; bar sync stretches a cycle to whole bars at the global bpm
+        let tickRate = TRAJECTORY_TICK_RATE * trajectory.speed;
+        if (trajectory.barSync) {
+            const barSeconds = this.getBarSeconds();
+            const bars = Math.max(1, Math.round(cycleTicks / tickRate / barSeconds));
+            tickRate = cycleTicks / (bars * barSeconds);
+        }
+        const ticks = el.mul(elapsed, el.const({key: `trajectory-${keyId}-rate`, value: tickRate}));
         
-        const masterSeq = el.sparseq({
-            key: `trajectory-${trajectoryId}-master`,
-            seq: seq,
-            loop: [firstTick, latestEndpoint]
-        }, ticker, el.const({value: 0}));
+        const masterSeq = el.sparseq2({
+            key: `trajectory-${keyId}-master`,
+            seq
+        }, loop ? el.mod(ticks, el.const({key: `trajectory-${keyId}-cycle`, value: cycleTicks})) : ticks);
         
-        const players = seq
-            .filter(event => event.soundUrl)
+        const players = soundEvents
             .map((event, index) => {
                 const trigger = el.eq(
                     masterSeq,
-                    el.const({key: `event-${trajectoryId}-${index}-value`, value: index+1}) // +1 to match with the "seq" declaration above, to have all sound ticks non-zero
+                    el.const({key: `event-${keyId}-${index}-value`, value: index+1}) // +1 to match the values from buildTrajectorySeq, where 0 is silence
                 );
                 
-                return el.mc.sample({
-                    channels: 1,
-                    key: `player-${trajectoryId}-${index}`,
+                return toStereo(el.mc.sample({
+                    channels: this.getSampleChannelCount(event.soundUrl),
+                    key: `player-${keyId}-${index}`,
                     path: event.soundUrl,
                     mode: 'trigger',
                     playbackRate: this.sampleParams.playbackRate,
                     startOffset: this.sampleParams.startOffset,
                     endOffset: this.sampleParams.endOffset
-                }, trigger, el.const({key: `rate-${trajectoryId}-${index}`, value: 1}))[0];
+                }, trigger, el.const({key: `rate-${keyId}-${index}`, value: 1})));
             });
         
-        let signal = players.length === 1 ? 
-            el.mul(players[0], el.const({key: `gain-${trajectoryId}`, value: 1 / this.maxVoices})) :
-            el.mul(el.add(...players), el.const({key: `gain-${trajectoryId}`, value: 1 / this.maxVoices}));
-        
-        this.activeTrajectorySignals.set(trajectoryId, signal);
-        this.updateAudioGraph();
+        const gain = el.const({key: `gain-${keyId}`, value: 1 / this.maxVoices});
+        return this.mixSignals(players).map(channel => el.mul(channel, gain));
     }
 
     stopTrajectoryPlayback(trajectoryId) {
@@ -551,11 +2168,14 @@ class TestComponent extends HTMLElement {
     clearTrajectory(trajectoryId) {
         this.stopTrajectoryPlayback(trajectoryId);
         this.trajectories.delete(trajectoryId);
+        this.selectedTrajectoryEvents.delete(trajectoryId);
     }
 
     createSequenceControls(sequenceId) {
+        const sequence = this.sequences.get(sequenceId);
         const container = document.createElement('div');
         container.classList.add('sequence-controls');
+        container.dataset.id = sequenceId;
         container.innerHTML = `
             <div class="sequence-header">
                 <h3>Sequence ${sequenceId}</h3>
@@ -564,38 +2184,144 @@ class TestComponent extends HTMLElement {
                         ${this.activeSequenceId === sequenceId ? 'Active' : 'Activate'}
                     </button>
                     <button class="clear-sequence" data-id="${sequenceId}" disabled>Clear</button>
+                    <button class="export-sequence-midi" data-id="${sequenceId}">Export MIDI</button>
                     <button class="remove-sequence" data-id="${sequenceId}">Remove</button>
                 </div>
             </div>
             <div class="sequence-controls-row">
                 <div class="sequence-volume">
                     <input type="range" class="volume-slider" 
-                           data-id="${sequenceId}" min="0" max="1" step="0.01" value="1">
-                    <span class="volume-value">100%</span>
+                           data-id="${sequenceId}" min="0" max="1" step="0.01" value="${sequence.volume}">
+                    <span class="volume-value">${Math.round(sequence.volume * 100)}%</span>
+                    <label>Pan</label>
+                    <input type="range" class="pan-slider" 
+                           data-id="${sequenceId}" min="-1" max="1" step="0.01" value="${sequence.pan}">
+                    <span class="pan-value">${formatPan(sequence.pan)}</span>
                 </div>
                 <div class="sequence-buttons">
-                    <button class="mute-sequence" data-id="${sequenceId}">Mute</button>
-                    <button class="solo-sequence" data-id="${sequenceId}">Solo</button>
+                    <button class="mute-sequence ${sequence.isMuted ? 'active' : ''}" data-id="${sequenceId}">Mute</button>
+                    <button class="solo-sequence ${sequence.isSolo ? 'active' : ''}" data-id="${sequenceId}">Solo</button>
                 </div>
             </div>
+            <div class="sequence-patterns" data-id="${sequenceId}"></div>
             <div class="sequence-parameters">
                 <div class="parameter-group">
                     <label>Bars:</label>
-                    <select class="sequence-bars" data-id="${sequenceId}">
-                        <option value="1/4 bar">1/4 bar</option>
-                        <option value="1/2 bar">1/2 bar</option>
-                        <option value="1 bar" selected>1 bar</option>
-                        <option value="2 bars">2 bars</option>
-                        <option value="3 bars">3 bars</option>
-                        <option value="4 bars">4 bars</option>
-                        <option value="8 bars">8 bars</option>
+                    <input type="number" class="sequence-bars" data-id="${sequenceId}"
+                           min="0.25" max="64" step="0.25" value="${sequence.bars}">
+                </div>
+                <div class="parameter-group">
+                    <label>Time Signature:</label>
+                    <div class="time-signature">
+                        <input type="number" class="sequence-beats" data-id="${sequenceId}"
+                               min="1" max="32" step="1" value="${sequence.timeSignature.beats}">
+                        /
+                        <select class="sequence-beat-unit" data-id="${sequenceId}">
+                            ${TIME_SIGNATURE_UNITS.map(unit => `
+                                <option value="${unit}" ${sequence.timeSignature.unit === unit ? 'selected' : ''}>${unit}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                </div>
+                <div class="parameter-group">
+                    <label>Tempo Ratio: <span class="sequence-tempo-value">${Math.round(sequence.getTempo() * 10) / 10} BPM</span></label>
+                    <select class="sequence-tempo-ratio" data-id="${sequenceId}">
+                        ${TEMPO_RATIOS.map(ratio => `
+                            <option value="${ratio}" ${Math.abs(parseRatio(ratio) - sequence.tempoRatio) < 1e-6 ? 'selected' : ''}>${ratio}</option>
+                        `).join('')}
                     </select>
                 </div>
                 <div class="parameter-group">
-                    <label>Sequence Start Offset: <span class="start-offset-value">0%</span></label>
+                    <label>Sequence Start Offset: <span class="start-offset-value">${Math.round(sequence.startOffset * 100)}%</span></label>
                     <input type="range" class="sequence-start-offset" 
-                           data-id="${sequenceId}" min="0" max="1" step="0.01" value="0">
+                           data-id="${sequenceId}" min="0" max="1" step="0.01" value="${sequence.startOffset}">
+                </div>
+                <div class="parameter-group">
+                    <label>Mode:</label>
+                    <select class="sequence-mode" data-id="${sequenceId}">
+                        <option value="offset" ${sequence.mode === 'offset' ? 'selected' : ''}>Offsets</option>
+                        <option value="steps" ${sequence.mode === 'steps' ? 'selected' : ''}>Step grid</option>
+                    </select>
+                </div>
+                <div class="parameter-group step-mode-only">
+                    <label>Steps:</label>
+                    <select class="sequence-step-count" data-id="${sequenceId}">
+                        ${[...new Set([...STEP_COUNTS, sequence.stepCount])].sort((a, b) => a - b).map(count => `
+                            <option value="${count}" ${sequence.stepCount === count ? 'selected' : ''}>${count}</option>
+                        `).join('')}
+                    </select>
+                </div>
+            </div>
+            <div class="sequence-grid step-mode-only" data-id="${sequenceId}"></div>
+            <div class="sequence-parameters sequence-groove-parameters">
+                <div class="parameter-group">
+                    <label>Swing:</label>
+                    <select class="sequence-swing" data-id="${sequenceId}">
+                        ${SWING_AMOUNTS.map(swing => `
+                            <option value="${swing}" ${sequence.swing === swing ? 'selected' : ''}>${swing}%</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="parameter-group">
+                    <label>Swing Resolution:</label>
+                    <select class="sequence-swing-resolution" data-id="${sequenceId}">
+                        ${Object.keys(GROOVE_RESOLUTIONS).map(resolution => `
+                            <option value="${resolution}" ${sequence.swingResolution === resolution ? 'selected' : ''}>${resolution}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div class="parameter-group">
+                    <label>Groove:</label>
+                    <select class="sequence-groove" data-id="${sequenceId}">
+                        ${this.getGrooveOptions(sequence.grooveId)}
+                    </select>
+                </div>
+            </div>
+            <details class="sequence-generators">
+                <summary>Generators</summary>
+                <div class="generator-row">
+                    <label>Sounds:</label>
+                    <select class="generator-sounds" multiple size="4"></select>
+                    <label>Seed:</label>
+                    <input type="number" class="generator-seed" value="${Math.floor(Math.random() * 100000)}">
+                    <button class="generator-reroll" disabled>Re-roll</button>
+                </div>
+                <div class="generator-row">
+                    <span class="generator-name">Euclidean</span>
+                    <label>Hits</label>
+                    <input type="number" class="euclid-hits" min="0" max="64" value="5">
+                    <label>Steps</label>
+                    <input type="number" class="euclid-steps" min="1" max="64" value="16">
+                    <label>Rotation</label>
+                    <input type="number" class="euclid-rotation" min="0" max="63" value="0">
+                    <button class="generate" data-generator="euclidean">Generate</button>
+                </div>
+                <div class="generator-row">
+                    <span class="generator-name">Random</span>
+                    <label>Density</label>
+                    <input type="range" class="random-density" min="0" max="1" step="0.05" value="0.4">
+                    <button class="generate" data-generator="random">Generate</button>
+                </div>
+                <div class="generator-row">
+                    <span class="generator-name">Mutate</span>
+                    <label>Amount</label>
+                    <input type="range" class="mutate-amount" min="0" max="1" step="0.05" value="0.3">
+                    <button class="generate" data-generator="mutate">Mutate</button>
                 </div>
+            </details>
+            <div class="sequence-effects-panel">
+                <div class="parameter-group">
+                    <label>Effects:</label>
+                    <div class="add-effect-row">
+                        <select class="effect-type" data-id="${sequenceId}">
+                            ${Object.entries(EFFECT_TYPES).map(([type, { label }]) => `
+                                <option value="${type}">${label}</option>
+                            `).join('')}
+                        </select>
+                        <button class="add-effect" data-id="${sequenceId}">Add Effect</button>
+                    </div>
+                </div>
+                <div class="sequence-effects" data-id="${sequenceId}"></div>
             </div>
             <div class="sequence-elements" data-id="${sequenceId}"></div>
         `;
@@ -614,7 +2340,7 @@ class TestComponent extends HTMLElement {
                 align-items: center;
                 gap: 10px;
             }
-            .volume-slider {
+            .volume-slider, .pan-slider {
                 width: 100px;
             }
             .mute-sequence.active, .solo-sequence.active {
@@ -624,26 +2350,189 @@ class TestComponent extends HTMLElement {
             .solo-sequence.active {
                 background-color: #ffaa00;
             }
-        `;
-        container.appendChild(style);
-
-        this.setupSequenceControlHandlers(container, sequenceId);
-        this.updateSequenceActiveState(container, sequenceId);
-        return container;
-    }
-
-    setupSequenceControlHandlers(container, sequenceId) {
-        const activateBtn = container.querySelector(`.activate-sequence[data-id="${sequenceId}"]`);
-        const clearBtn = container.querySelector(`.clear-sequence[data-id="${sequenceId}"]`);
-        const removeBtn = container.querySelector(`.remove-sequence[data-id="${sequenceId}"]`);
-        const barsSelect = container.querySelector(`.sequence-bars[data-id="${sequenceId}"]`);
-
+            .sequence-controls:not(.step-mode) .step-mode-only,
+            .sequence-controls.step-mode .offset-mode-only {
+                display: none;
+            }
+            .time-signature {
+                display: flex;
+                align-items: center;
+                gap: 5px;
+            }
+            .time-signature input, .sequence-bars {
+                width: 50px;
+            }
+            .sequence-grid {
+                margin-top: 10px;
+                overflow-x: auto;
+            }
+            .step-lane {
+                display: flex;
+                align-items: center;
+                gap: 2px;
+                margin: 2px 0;
+            }
+            .step-lane-name {
+                width: 120px;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+                font-size: 0.8em;
+            }
+            .step-cell {
+                flex: none;
+                width: 18px;
+                height: 18px;
+                padding: 0;
+                border: 1px solid #ccc;
+                border-radius: 2px;
+                background: #fff;
+                cursor: pointer;
+            }
+            .step-cell.beat-start {
+                margin-left: 6px;
+            }
+            .step-cell.active {
+                background: #4488ff;
+                border-color: #2266dd;
+            }
+            .sequence-groove-parameters {
+                margin-top: 10px;
+            }
+            .sequence-patterns {
+                display: flex;
+                align-items: center;
+                gap: 5px;
+                margin-top: 10px;
+            }
+            .pattern-select {
+                min-width: 28px;
+            }
+            .pattern-select.active {
+                background-color: #4488ff;
+                color: white;
+            }
+            .sequence-generators {
+                margin-top: 10px;
+            }
+            .generator-row {
+                display: flex;
+                align-items: center;
+                flex-wrap: wrap;
+                gap: 8px;
+                margin: 5px 0;
+            }
+            .generator-row input[type="number"] {
+                width: 60px;
+            }
+            .generator-name {
+                min-width: 70px;
+                font-weight: bold;
+            }
+            .sequence-effects-panel {
+                margin-top: 10px;
+            }
+            .add-effect-row {
+                display: flex;
+                gap: 10px;
+            }
+            .sequence-effect {
+                display: flex;
+                align-items: center;
+                flex-wrap: wrap;
+                gap: 10px;
+                margin: 5px 0;
+                padding: 8px;
+                background: #fff;
+                border-radius: 4px;
+            }
+            .sequence-effect.bypassed {
+                opacity: 0.5;
+            }
+            .effect-name {
+                min-width: 70px;
+                font-weight: bold;
+            }
+        `;
+        container.appendChild(style);
+
+        container.classList.toggle('step-mode', sequence.mode === 'steps');
+        this.setupSequenceControlHandlers(container, sequenceId);
+        this.updateSequenceActiveState(container, sequenceId);
+        this.updateSequenceEffectsUI(sequenceId, container);
+        this.updateSequencePatternsUI(sequenceId, container);
+        return container;
+    }
+
+    updateSequencePatternsUI(sequenceId, container = this.shadowRoot) {
+        const sequence = this.sequences.get(sequenceId);
+        const row = container.querySelector(`.sequence-patterns[data-id="${sequenceId}"]`);
+        row.innerHTML = `
+            <label>Pattern:</label>
+            ${sequence.patterns.map((pattern, index) => `
+                <button class="pattern-select ${index === sequence.patternIndex ? 'active' : ''}" data-index="${index}">${pattern.name}</button>
+            `).join('')}
+            <button class="add-pattern" title="Add an empty pattern" ${sequence.patterns.length >= MAX_PATTERNS ? 'disabled' : ''}>+</button>
+            <button class="copy-pattern">Copy</button>
+            <button class="paste-pattern" ${this.patternClipboard ? '' : 'disabled'}>Paste</button>
+        `;
+
+        row.querySelectorAll('.pattern-select').forEach(button => {
+            button.addEventListener('click', () => {
+                this.selectSequencePattern(sequenceId, parseInt(button.dataset.index));
+            });
+        });
+
+        row.querySelector('.add-pattern').addEventListener('click', () => {
+            sequence.addPattern();
+            this.selectSequencePattern(sequenceId, sequence.patterns.length - 1);
+        });
+
+        row.querySelector('.copy-pattern').addEventListener('click', () => {
+            this.patternClipboard = sequence.elements.map(element => ({ ...element }));
+            this.shadowRoot.querySelectorAll('.paste-pattern').forEach(button => {
+                button.disabled = false;
+            });
+        });
+
+        row.querySelector('.paste-pattern').addEventListener('click', () => {
+            if (!this.patternClipboard) return;
+            sequence.pastePattern(this.patternClipboard);
+            this.updateSequenceElementsUI(sequenceId);
+            this.updateSequenceMarkers(sequenceId);
+            this.applySequenceEdit(sequenceId);
+        });
+    }
+
+    selectSequencePattern(sequenceId, index) {
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence || index >= sequence.patterns.length) return;
+        this.patternSwitches.delete(sequenceId);
+        sequence.selectPattern(index);
+        this.updateSequencePatternsUI(sequenceId);
+        this.updateSequenceElementsUI(sequenceId);
+        this.updateSequenceMarkers(sequenceId);
+        this.updateSequencePlayback(sequenceId);
+    }
+
+    setupSequenceControlHandlers(container, sequenceId) {
+        const activateBtn = container.querySelector(`.activate-sequence[data-id="${sequenceId}"]`);
+        const clearBtn = container.querySelector(`.clear-sequence[data-id="${sequenceId}"]`);
+        const removeBtn = container.querySelector(`.remove-sequence[data-id="${sequenceId}"]`);
+        const exportMidiBtn = container.querySelector(`.export-sequence-midi[data-id="${sequenceId}"]`);
+        const barsInput = container.querySelector(`.sequence-bars[data-id="${sequenceId}"]`);
+
+        exportMidiBtn.addEventListener('click', () => {
+            this.exportSequenceMidi(sequenceId);
+        });
+
         activateBtn.addEventListener('click', () => {
             // Deactivate current active sequence if any
             if (this.activeSequenceId && this.activeSequenceId !== sequenceId) {
                 const prevSequence = this.sequences.get(this.activeSequenceId);
                 if (prevSequence) {
                     prevSequence.isRecording = false;
+                    this.recordSequenceEdit(this.activeSequenceId, 'Record into sequence');
                 }
                 this.updateAllSequenceControls();
             }
@@ -652,6 +2541,7 @@ class TestComponent extends HTMLElement {
             if (this.activeSequenceId === sequenceId) {
                 this.activeSequenceId = null;
                 this.sequences.get(sequenceId).isRecording = false;
+                this.recordSequenceEdit(sequenceId, 'Record into sequence');
                 clearBtn.disabled = true;
             } else {
                 this.activeSequenceId = sequenceId;
@@ -664,29 +2554,49 @@ class TestComponent extends HTMLElement {
 
         clearBtn.addEventListener('click', () => {
             const sequence = this.sequences.get(sequenceId);
+            this.recordRecordingPass();
             sequence.clear();
             this.sequenceSignals.delete(sequenceId);
             this.updateAudioGraph();
             sequence.isRecording = false;
             this.activeSequenceId = null;
             this.updateAllSequenceControls();
-            container.querySelector(`.sequence-elements[data-id="${sequenceId}"]`).innerHTML = '';
+            this.updateSequenceElementsUI(sequenceId);
             this.shadowRoot.querySelectorAll('.element').forEach(el => {
                 el.classList.remove(`in-sequence-${sequenceId}`);
             });
+            this.recordSequenceEdit(sequenceId);
         });
 
         removeBtn.addEventListener('click', () => {
-            this.sequences.delete(sequenceId);
-            this.sequenceSignals.delete(sequenceId);
-            container.remove();
-            this.updateAudioGraph();
+            this.removeSequence(sequenceId);
         });
 
-        barsSelect.addEventListener('change', (e) => {
-            const sequence = this.sequences.get(sequenceId);
-            sequence.bars = e.target.value;
-            this.updateSequencePlayback(sequenceId);
+        barsInput.addEventListener('change', (e) => {
+            const bars = parseFloat(e.target.value);
+            if (!(bars > 0)) return;
+            this.sequences.get(sequenceId).bars = bars;
+            this.updateSequenceGridUI(sequenceId);
+            this.applySequenceEdit(sequenceId);
+        });
+
+        container.querySelector(`.sequence-beats[data-id="${sequenceId}"]`).addEventListener('change', (e) => {
+            const beats = parseInt(e.target.value);
+            if (!(beats > 0)) return;
+            this.sequences.get(sequenceId).timeSignature.beats = beats;
+            this.updateSequenceGridUI(sequenceId);
+            this.applySequenceEdit(sequenceId);
+        });
+
+        container.querySelector(`.sequence-beat-unit[data-id="${sequenceId}"]`).addEventListener('change', (e) => {
+            this.sequences.get(sequenceId).timeSignature.unit = parseInt(e.target.value);
+            this.applySequenceEdit(sequenceId);
+        });
+
+        container.querySelector(`.sequence-tempo-ratio[data-id="${sequenceId}"]`).addEventListener('change', (e) => {
+            this.sequences.get(sequenceId).tempoRatio = parseRatio(e.target.value);
+            this.updateSequenceTempoLabel(sequenceId);
+            this.applySequenceEdit(sequenceId);
         });
 
         const volumeSlider = container.querySelector(`.volume-slider[data-id="${sequenceId}"]`);
@@ -699,14 +2609,24 @@ class TestComponent extends HTMLElement {
             const sequence = this.sequences.get(sequenceId);
             sequence.volume = volume;
             volumeValue.textContent = `${Math.round(volume * 100)}%`;
-            this.updateSequencePlayback(sequenceId);
+            this.applySequenceEdit(sequenceId);
+        });
+
+        const panSlider = container.querySelector(`.pan-slider[data-id="${sequenceId}"]`);
+        const panValue = container.querySelector('.pan-value');
+
+        panSlider.addEventListener('input', (e) => {
+            const pan = parseFloat(e.target.value);
+            this.sequences.get(sequenceId).pan = pan;
+            panValue.textContent = formatPan(pan);
+            this.applySequenceEdit(sequenceId);
         });
 
         muteBtn.addEventListener('click', () => {
             const sequence = this.sequences.get(sequenceId);
             sequence.isMuted = !sequence.isMuted;
             muteBtn.classList.toggle('active', sequence.isMuted);
-            this.updateSequencePlayback(sequenceId);
+            this.applySequenceEdit(sequenceId);
         });
 
         soloBtn.addEventListener('click', () => {
@@ -720,11 +2640,49 @@ class TestComponent extends HTMLElement {
             }
             
             soloBtn.classList.toggle('active', sequence.isSolo);
+            this.recordSequenceEdit(sequenceId);
             
             // Update all sequences since solo affects them all
             this.sequences.forEach((_, id) => this.updateSequencePlayback(id));
         });
 
+        container.querySelector(`.sequence-mode[data-id="${sequenceId}"]`).addEventListener('change', (e) => {
+            this.sequences.get(sequenceId).setMode(e.target.value);
+            container.classList.toggle('step-mode', e.target.value === 'steps');
+            this.updateSequenceElementsUI(sequenceId);
+            this.applySequenceEdit(sequenceId);
+        });
+
+        container.querySelector(`.sequence-step-count[data-id="${sequenceId}"]`).addEventListener('change', (e) => {
+            this.sequences.get(sequenceId).setStepCount(parseInt(e.target.value));
+            this.updateSequenceElementsUI(sequenceId);
+            this.applySequenceEdit(sequenceId);
+        });
+
+        container.querySelector(`.sequence-swing[data-id="${sequenceId}"]`).addEventListener('change', (e) => {
+            this.sequences.get(sequenceId).swing = parseInt(e.target.value);
+            this.applySequenceEdit(sequenceId);
+        });
+
+        container.querySelector(`.sequence-swing-resolution[data-id="${sequenceId}"]`).addEventListener('change', (e) => {
+            this.sequences.get(sequenceId).swingResolution = e.target.value;
+            this.applySequenceEdit(sequenceId);
+        });
+
+        container.querySelector(`.sequence-groove[data-id="${sequenceId}"]`).addEventListener('change', (e) => {
+            this.sequences.get(sequenceId).grooveId = e.target.value ? parseInt(e.target.value) : null;
+            this.applySequenceEdit(sequenceId);
+        });
+
+        this.setupSequenceGeneratorHandlers(container, sequenceId);
+
+        container.querySelector(`.add-effect[data-id="${sequenceId}"]`).addEventListener('click', () => {
+            const type = container.querySelector(`.effect-type[data-id="${sequenceId}"]`).value;
+            this.sequences.get(sequenceId).addEffect(type);
+            this.updateSequenceEffectsUI(sequenceId);
+            this.applySequenceEdit(sequenceId);
+        });
+
         const startOffsetSlider = container.querySelector(`.sequence-start-offset[data-id="${sequenceId}"]`);
         const startOffsetValue = container.querySelector('.start-offset-value');
 
@@ -733,10 +2691,120 @@ class TestComponent extends HTMLElement {
             const sequence = this.sequences.get(sequenceId);
             sequence.startOffset = value;
             startOffsetValue.textContent = `${Math.round(value * 100)}%`;
-            this.updateSequencePlayback(sequenceId);
+            this.applySequenceEdit(sequenceId);
+        });
+    }
+
+    setupSequenceGeneratorHandlers(container, sequenceId) {
+        const soundsSelect = container.querySelector('.generator-sounds');
+        const seedInput = container.querySelector('.generator-seed');
+        const rerollBtn = container.querySelector('.generator-reroll');
+        let lastGenerator = null;
+        let baseElements = null; // Sequence state before the last generator ran, restored on re-roll
+        let baseSettings = null;
+
+        const refreshSoundOptions = () => {
+            const selected = new Set(Array.from(soundsSelect.selectedOptions, option => option.value));
+            soundsSelect.innerHTML = Array.from(this.shadowRoot.querySelectorAll('.sound-map .element'), element => `
+                <option value="${element.dataset.sound}" ${selected.has(element.dataset.sound) ? 'selected' : ''}>
+                    ${this.getSoundName(element.dataset.sound)}
+                </option>
+            `).join('');
+        };
+        refreshSoundOptions();
+        soundsSelect.addEventListener('focus', refreshSoundOptions);
+
+        const getSoundUrls = (sequence) => {
+            const selected = Array.from(soundsSelect.selectedOptions, option => option.value);
+            if (selected.length > 0) return selected;
+            // Fall back to the sounds already in the sequence
+            return [...new Set([...sequence.lanes, ...sequence.elements.map(element => element.soundUrl)])];
+        };
+
+        const runGenerator = async (type) => {
+            const sequence = this.sequences.get(sequenceId);
+            const seed = parseInt(seedInput.value) || 0;
+            const soundUrls = getSoundUrls(sequence);
+
+            if (type !== 'mutate' && soundUrls.length === 0) {
+                console.warn('Select sounds for the generator first');
+                return;
+            }
+
+            try {
+                await Promise.all(soundUrls.map(soundUrl => this.loadSample(soundUrl)));
+            } catch (error) {
+                console.error('Failed to load sample:', error);
+                return;
+            }
+
+            if (type === 'euclidean') {
+                generateEuclidean(sequence, soundUrls, {
+                    hits: parseInt(container.querySelector('.euclid-hits').value) || 0,
+                    steps: Math.max(1, parseInt(container.querySelector('.euclid-steps').value) || 16),
+                    rotation: parseInt(container.querySelector('.euclid-rotation').value) || 0,
+                    seed
+                });
+            } else if (type === 'random') {
+                generateRandom(sequence, soundUrls, {
+                    density: parseFloat(container.querySelector('.random-density').value),
+                    seed
+                });
+            } else if (type === 'mutate') {
+                mutateSequence(sequence, {
+                    amount: parseFloat(container.querySelector('.mutate-amount').value),
+                    seed
+                });
+            }
+
+            soundUrls.forEach(soundUrl => this.getSoundElement(soundUrl)?.classList.add(`in-sequence-${sequenceId}`));
+            this.syncSequenceModeUI(container, sequenceId);
+            this.updateSequenceElementsUI(sequenceId);
+            this.applySequenceEdit(sequenceId);
+        };
+
+        container.querySelectorAll('.generate').forEach(button => {
+            button.addEventListener('click', async () => {
+                const sequence = this.sequences.get(sequenceId);
+                lastGenerator = button.dataset.generator;
+                baseElements = sequence.elements.map(element => ({ ...element }));
+                baseSettings = { mode: sequence.mode, stepCount: sequence.stepCount, lanes: [...sequence.lanes] };
+                rerollBtn.disabled = false;
+                await runGenerator(lastGenerator);
+            });
+        });
+
+        rerollBtn.addEventListener('click', async () => {
+            if (!lastGenerator) return;
+            const sequence = this.sequences.get(sequenceId);
+            sequence.elements = baseElements.map(element => ({ ...element }));
+            Object.assign(sequence, baseSettings, { lanes: [...baseSettings.lanes] });
+            seedInput.value = Math.floor(Math.random() * 100000);
+            await runGenerator(lastGenerator);
         });
     }
 
+    updateSequenceTempoLabel(sequenceId) {
+        const label = this.shadowRoot.querySelector(`.sequence-tempo-ratio[data-id="${sequenceId}"]`)
+            ?.closest('.parameter-group').querySelector('.sequence-tempo-value');
+        if (label) {
+            label.textContent = `${Math.round(this.sequences.get(sequenceId).getTempo() * 10) / 10} BPM`;
+        }
+    }
+
+    // Bring the mode and step count selects in line after the sequence changed them itself
+    syncSequenceModeUI(container, sequenceId) {
+        const sequence = this.sequences.get(sequenceId);
+        container.classList.toggle('step-mode', sequence.mode === 'steps');
+        container.querySelector(`.sequence-mode[data-id="${sequenceId}"]`).value = sequence.mode;
+
+        const stepCountSelect = container.querySelector(`.sequence-step-count[data-id="${sequenceId}"]`);
+        if (!Array.from(stepCountSelect.options).some(option => parseInt(option.value) === sequence.stepCount)) {
+            stepCountSelect.add(new Option(sequence.stepCount, sequence.stepCount));
+        }
+        stepCountSelect.value = sequence.stepCount;
+    }
+
     updateSequenceActiveState(container, sequenceId) {
         const isActive = this.activeSequenceId === sequenceId;
         container.classList.toggle('active-sequence', isActive);
@@ -754,6 +2822,168 @@ class TestComponent extends HTMLElement {
         });
     }
 
+    getGrooveOptions(selectedId) {
+        return `
+            <option value="">None</option>
+            ${Array.from(this.grooves, ([id, groove]) => `
+                <option value="${id}" ${selectedId === id ? 'selected' : ''}>${groove.name}</option>
+            `).join('')}
+        `;
+    }
+
+    updateGrooveSelects() {
+        this.shadowRoot.querySelectorAll('.sequence-groove').forEach(select => {
+            const sequence = this.sequences.get(parseInt(select.dataset.id));
+            select.innerHTML = this.getGrooveOptions(sequence?.grooveId ?? null);
+        });
+    }
+
+    extractTrajectoryGroove(trajectoryId) {
+        const trajectory = this.trajectories.get(trajectoryId);
+        const times = trajectory?.events.filter(evt => evt.soundUrl).map(evt => evt.time) ?? [];
+        if (times.length === 0) return;
+
+        const grooveId = Date.now();
+        this.grooves.set(grooveId, {
+            name: `Trajectory ${trajectoryId}`,
+            ...extractGroove(times, { bpm: this.globalBpm })
+        });
+        this.updateGrooveSelects();
+    }
+
+    updateSequenceEffectsUI(sequenceId, container = this.shadowRoot) {
+        const sequence = this.sequences.get(sequenceId);
+        const sequenceEffects = container.querySelector(`.sequence-effects[data-id="${sequenceId}"]`);
+        sequenceEffects.innerHTML = '';
+
+        sequence.effects.forEach((effect, index) => {
+            const { label, params } = EFFECT_TYPES[effect.type];
+            const effectDiv = document.createElement('div');
+            effectDiv.classList.add('sequence-effect');
+            effectDiv.classList.toggle('bypassed', effect.bypass);
+            effectDiv.innerHTML = `
+                <span class="effect-name">${label}</span>
+                <label>
+                    <input type="checkbox" class="effect-bypass" ${effect.bypass ? 'checked' : ''}>
+                    Bypass
+                </label>
+                <div class="parameter-sliders">
+                    ${Object.entries(params).map(([name, param]) => `
+                        <div class="parameter-slider">
+                            <label>${param.label}</label>
+                            ${param.options ? `
+                                <select class="effect-param" data-param="${name}">
+                                    ${param.options.map(option => `
+                                        <option value="${option}" ${effect.params[name] === option ? 'selected' : ''}>${option}</option>
+                                    `).join('')}
+                                </select>
+                            ` : `
+                                <input type="range" class="effect-param" data-param="${name}"
+                                       min="${param.log ? 0 : param.min}" max="${param.log ? 1 : param.max}"
+                                       step="${param.log ? 0.001 : param.step}"
+                                       value="${paramToSlider(param, effect.params[name])}">
+                                <span class="parameter-value">${effect.params[name]}${param.unit ? ` ${param.unit}` : ''}</span>
+                            `}
+                        </div>
+                    `).join('')}
+                </div>
+                <button class="move-effect-up" ${index === 0 ? 'disabled' : ''}>▲</button>
+                <button class="move-effect-down" ${index === sequence.effects.length - 1 ? 'disabled' : ''}>▼</button>
+                <button class="remove-element remove-effect">✕</button>
+            `;
+
+            effectDiv.querySelector('.effect-bypass').addEventListener('change', (e) => {
+                effect.bypass = e.target.checked;
+                effectDiv.classList.toggle('bypassed', effect.bypass);
+                this.applySequenceEdit(sequenceId);
+            });
+
+            effectDiv.querySelectorAll('.effect-param').forEach(input => {
+                const name = input.dataset.param;
+                const param = params[name];
+                input.addEventListener(param.options ? 'change' : 'input', (e) => {
+                    const value = param.options ?
+                        e.target.value :
+                        sliderToParam(param, parseFloat(e.target.value));
+                    sequence.setEffectParam(index, name, value);
+                    if (!param.options) {
+                        e.target.nextElementSibling.textContent = `${value}${param.unit ? ` ${param.unit}` : ''}`;
+                    }
+                    this.applySequenceEdit(sequenceId);
+                });
+            });
+
+            effectDiv.querySelector('.move-effect-up').addEventListener('click', () => {
+                sequence.moveEffect(index, -1);
+                this.updateSequenceEffectsUI(sequenceId);
+                this.applySequenceEdit(sequenceId);
+            });
+
+            effectDiv.querySelector('.move-effect-down').addEventListener('click', () => {
+                sequence.moveEffect(index, 1);
+                this.updateSequenceEffectsUI(sequenceId);
+                this.applySequenceEdit(sequenceId);
+            });
+
+            effectDiv.querySelector('.remove-effect').addEventListener('click', () => {
+                sequence.removeEffect(index);
+                this.updateSequenceEffectsUI(sequenceId);
+                this.applySequenceEdit(sequenceId);
+            });
+
+            sequenceEffects.appendChild(effectDiv);
+        });
+    }
+
+    getSoundName(soundUrl) {
+        return this.getSoundElement(soundUrl)?.parentNode.querySelector('text')?.textContent ??
+            soundUrl.split('/').pop();
+    }
+
+    updateSequenceGridUI(sequenceId) {
+        const sequence = this.sequences.get(sequenceId);
+        const grid = this.shadowRoot.querySelector(`.sequence-grid[data-id="${sequenceId}"]`);
+        grid.innerHTML = sequence.lanes.length === 0 ?
+            '<p class="parameter-value">Click sounds while the sequence is active to add them as grid rows</p>' : '';
+
+        // Mark beats when the steps divide evenly into them, otherwise every 4 steps
+        const beatCount = sequence.getBeatCount();
+        const stepsPerBeat = Number.isInteger(sequence.stepCount / beatCount) ? sequence.stepCount / beatCount : 4;
+
+        sequence.lanes.forEach(soundUrl => {
+            const lane = document.createElement('div');
+            lane.classList.add('step-lane');
+            lane.innerHTML = `
+                <span class="step-lane-name" title="${soundUrl}">${this.getSoundName(soundUrl)}</span>
+                ${Array.from({ length: sequence.stepCount }, (_, step) => `
+                    <button class="step-cell ${step % stepsPerBeat === 0 ? 'beat-start' : ''}" data-step="${step}"></button>
+                `).join('')}
+                <button class="remove-element remove-lane">✕</button>
+            `;
+
+            sequence.elements
+                .filter(element => element.soundUrl === soundUrl)
+                .forEach(element => lane.querySelector(`.step-cell[data-step="${element.step}"]`)?.classList.add('active'));
+
+            lane.querySelectorAll('.step-cell').forEach(cell => {
+                cell.addEventListener('click', () => {
+                    sequence.toggleStep(soundUrl, parseInt(cell.dataset.step));
+                    this.updateSequenceElementsUI(sequenceId);
+                    this.applySequenceEdit(sequenceId);
+                });
+            });
+
+            lane.querySelector('.remove-lane').addEventListener('click', () => {
+                sequence.removeLane(soundUrl);
+                this.getSoundElement(soundUrl)?.classList.remove(`in-sequence-${sequenceId}`);
+                this.updateSequenceElementsUI(sequenceId);
+                this.applySequenceEdit(sequenceId);
+            });
+
+            grid.appendChild(lane);
+        });
+    }
+
     updateSequenceElementsUI(sequenceId) {
         const sequence = this.sequences.get(sequenceId);
         const sequenceElements = this.shadowRoot.querySelector(`.sequence-elements[data-id="${sequenceId}"]`);
@@ -763,9 +2993,9 @@ class TestComponent extends HTMLElement {
             const elementDiv = document.createElement('div');
             elementDiv.classList.add('sequence-element');
             elementDiv.innerHTML = `
-                <span>Element ${index + 1}</span>
+                <span>Element ${index + 1}${sequence.mode === 'steps' ? ` (step ${element.step + 1})` : ''}</span>
                 <div class="parameter-sliders">
-                    <div class="parameter-slider">
+                    <div class="parameter-slider offset-mode-only">
                         <label>Sequence Offset</label>
                         <input type="range" min="0.1" max="2" step="0.1" value="${element.offset}" 
                                class="offset-slider" data-sequence="${sequenceId}" data-index="${index}">
@@ -789,6 +3019,32 @@ class TestComponent extends HTMLElement {
                                class="stretch-slider" data-sequence="${sequenceId}" data-index="${index}">
                         <span class="parameter-value">${element.stretch}x</span>
                     </div>
+                    <div class="parameter-slider">
+                        <label>Pan</label>
+                        <input type="range" min="-1" max="1" step="0.05" value="${element.pan}" 
+                               class="element-pan-slider" data-sequence="${sequenceId}" data-index="${index}">
+                        <span class="parameter-value">${formatPan(element.pan)}</span>
+                    </div>
+                    <div class="parameter-slider">
+                        <label>Velocity</label>
+                        <input type="range" min="0" max="1" step="0.01" value="${element.velocity}" 
+                               class="velocity-slider" data-sequence="${sequenceId}" data-index="${index}">
+                        <span class="parameter-value">${Math.round(element.velocity * 100)}%</span>
+                    </div>
+                    <div class="parameter-slider">
+                        <label>Probability</label>
+                        <input type="range" min="0" max="1" step="0.01" value="${element.probability}" 
+                               class="probability-slider" data-sequence="${sequenceId}" data-index="${index}">
+                        <span class="parameter-value">${Math.round(element.probability * 100)}%</span>
+                    </div>
+                    <div class="parameter-slider">
+                        <label>Condition</label>
+                        <select class="condition-select" data-sequence="${sequenceId}" data-index="${index}">
+                            ${Object.entries(TRIGGER_CONDITIONS).map(([condition, label]) => `
+                                <option value="${condition}" ${element.condition === condition ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
                 </div>
                 <button class="remove-element" data-sequence="${sequenceId}" data-index="${index}">✕</button>
             `;
@@ -797,33 +3053,60 @@ class TestComponent extends HTMLElement {
             const shiftSlider = elementDiv.querySelector('.shift-slider');
             const stretchSlider = elementDiv.querySelector('.stretch-slider');
             const durationSlider = elementDiv.querySelector('.duration-slider');
+            const panSlider = elementDiv.querySelector('.element-pan-slider');
             
             offsetSlider.addEventListener('input', (e) => {
                 const value = parseFloat(e.target.value);
                 this.sequences.get(sequenceId).setOffset(parseInt(e.target.dataset.index), value);
                 e.target.nextElementSibling.textContent = `${value}x`;
-                this.updateSequencePlayback(sequenceId);
+                this.applySequenceEdit(sequenceId);
             });
 
             shiftSlider.addEventListener('input', (e) => {
                 const value = parseFloat(e.target.value);
                 this.sequences.get(sequenceId).setShift(parseInt(e.target.dataset.index), value);
                 e.target.nextElementSibling.textContent = `${value} st`;
-                this.updateSequencePlayback(sequenceId);
+                this.applySequenceEdit(sequenceId);
             });
 
             stretchSlider.addEventListener('input', (e) => {
                 const value = parseFloat(e.target.value);
                 this.sequences.get(sequenceId).setStretch(parseInt(e.target.dataset.index), value);
                 e.target.nextElementSibling.textContent = `${value}x`;
-                this.updateSequencePlayback(sequenceId);
+                this.applySequenceEdit(sequenceId);
             });
 
             durationSlider.addEventListener('input', (e) => {
                 const value = parseFloat(e.target.value);
                 this.sequences.get(sequenceId).setDuration(parseInt(e.target.dataset.index), value);
                 e.target.nextElementSibling.textContent = `${value}x`;
-                this.updateSequencePlayback(sequenceId);
+                this.applySequenceEdit(sequenceId);
+            });
+
+            panSlider.addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.sequences.get(sequenceId).setPan(parseInt(e.target.dataset.index), value);
+                e.target.nextElementSibling.textContent = formatPan(value);
+                this.applySequenceEdit(sequenceId);
+            });
+
+            elementDiv.querySelector('.velocity-slider').addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.sequences.get(sequenceId).setVelocity(parseInt(e.target.dataset.index), value);
+                e.target.nextElementSibling.textContent = `${Math.round(value * 100)}%`;
+                this.applySequenceEdit(sequenceId);
+            });
+
+            elementDiv.querySelector('.probability-slider').addEventListener('input', (e) => {
+                const value = parseFloat(e.target.value);
+                this.sequences.get(sequenceId).setProbability(parseInt(e.target.dataset.index), value);
+                e.target.nextElementSibling.textContent = `${Math.round(value * 100)}%`;
+                this.applySequenceEdit(sequenceId);
+            });
+
+            elementDiv.querySelector('.condition-select').addEventListener('change', (e) => {
+                this.sequences.get(sequenceId).setCondition(parseInt(e.target.dataset.index), e.target.value);
+                this.applySequenceEdit(sequenceId);
             });
 
             elementDiv.querySelector('.remove-element').addEventListener('click', (e) => {
@@ -837,33 +3120,1316 @@ class TestComponent extends HTMLElement {
                 }
                 
                 this.updateSequenceElementsUI(sequenceId);
-                this.updateSequencePlayback(sequenceId);
+                this.applySequenceEdit(sequenceId);
             });
             
             sequenceElements.appendChild(elementDiv);
         });
+
+        this.updateSequenceGridUI(sequenceId);
     }
 
-    connectedCallback() {
-        this.shadowRoot.innerHTML = `
-            <style>
-                :host {
-                    display: block;
+    getSoundElement(soundUrl) {
+        return this.shadowRoot.querySelector(`.element[data-sound="${CSS.escape(soundUrl)}"]`);
+    }
+
+    addSoundElement(soundUrl, name) {
+        const point = document.createElementNS(SVG_NS, 'g');
+        point.classList.add('sound-point', 'pending');
+
+        const element = document.createElementNS(SVG_NS, 'circle');
+        element.classList.add('element');
+        element.dataset.sound = soundUrl;
+        element.setAttribute('r', 8);
+        if (this.isRecording) {
+            element.classList.add('recording');
+        }
+
+        const title = document.createElementNS(SVG_NS, 'title');
+        title.textContent = `${name}\n${soundUrl}`;
+        element.appendChild(title);
+
+        const label = document.createElementNS(SVG_NS, 'text');
+        label.setAttribute('x', 12);
+        label.setAttribute('y', 4);
+        label.textContent = name;
+
+        const keyLabel = document.createElementNS(SVG_NS, 'text');
+        keyLabel.classList.add('key-label');
+        keyLabel.setAttribute('y', 3);
+
+        point.append(element, label, keyLabel);
+        this.shadowRoot.querySelector('.sound-map-points').appendChild(point);
+        this.setupSoundElementHandlers(element);
+        this.scheduleSoundMapLayout();
+        this.autoAssignKeys();
+        return element;
+    }
+
+    // Give sounds without a key the next free performance key
+    autoAssignKeys() {
+        const assigned = new Set(this.keyboard.keys.values());
+        const freeCodes = PERFORMANCE_KEY_CODES.filter(code => !this.keyboard.keys.has(code));
+        this.shadowRoot.querySelectorAll('.sound-map .element').forEach(element => {
+            if (!assigned.has(element.dataset.sound) && freeCodes.length > 0) {
+                this.keyboard.keys.set(freeCodes.shift(), element.dataset.sound);
+            }
+        });
+        this.updateKeyLabels();
+    }
+
+    assignKey(code, soundUrl) {
+        this.keyboard.keys.forEach((assignedUrl, assignedCode) => {
+            if (assignedUrl === soundUrl) {
+                this.keyboard.keys.delete(assignedCode);
+            }
+        });
+        this.keyboard.keys.set(code, soundUrl);
+        this.updateKeyLabels();
+    }
+
+    updateKeyLabels() {
+        const codes = new Map(Array.from(this.keyboard.keys, ([code, soundUrl]) => [soundUrl, code]));
+        this.shadowRoot.querySelectorAll('.sound-map .element').forEach(element => {
+            const code = codes.get(element.dataset.sound);
+            element.parentNode.querySelector('.key-label').textContent = code ? keyCodeLabel(code) : '';
+        });
+    }
+
+    /**
+     * Play a sound as hovering or clicking it would, for MIDI notes and performance keys.
+     * The event is recorded first, so that loading the sample does not delay its time.
+     */
+    async performSound(element, velocity = 1) {
+        if (this.isRecording) {
+            this.recordEvent(element);
+        }
+        if (this.mode === 'explore looping') {
+            await this.toggleLoopingSound(element);
+        } else if (this.mode === 'explore one-off') {
+            await this.playOneOffSound(element, velocity);
+        }
+        if (this.isActiveSequenceRecording()) {
+            await this.addToActiveSequence(element);
+        }
+    }
+
+    // Undo / redo, shortcuts for the transport, trajectory recording and the active sequence, then the sound keys
+    async handleKeyDown(e) {
+        const target = e.composedPath()[0];
+        const isTextField = target.tagName === 'TEXTAREA' ||
+            (target.tagName === 'INPUT' && !['range', 'checkbox'].includes(target.type));
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.code === 'KeyZ' && !isTextField) {
+            e.preventDefault();
+            if (e.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+            return;
+        }
+
+        if (!this.keyboard.enabled || e.repeat || e.ctrlKey || e.metaKey || e.altKey ||
+            ['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName)) return;
+
+        const click = (selector) => this.shadowRoot.querySelector(selector)?.click();
+        const shortcuts = {
+            Space: () => click(e.shiftKey ? '#transport-restart' : this.transport.playing ? '#transport-stop' : '#transport-play'),
+            Backquote: () => click(this.isRecording ? '#stop-recording' : '#start-recording'),
+            ArrowDown: () => this.switchActiveSequence(1),
+            ArrowUp: () => this.switchActiveSequence(-1),
+            Escape: () => this.activeSequenceId && click(`.activate-sequence[data-id="${this.activeSequenceId}"]`)
+        };
+        if (shortcuts[e.code]) {
+            e.preventDefault();
+            shortcuts[e.code]();
+            return;
+        }
+
+        if (!PERFORMANCE_KEY_CODES.includes(e.code)) return;
+        if (this.keyboard.assignTarget) {
+            this.assignKey(e.code, this.keyboard.assignTarget);
+            this.toggleKeyAssign();
+            return;
+        }
+
+        const soundUrl = this.keyboard.keys.get(e.code);
+        const element = soundUrl && this.getSoundElement(soundUrl);
+        if (element && await this.ensureAudioInitialized()) {
+            await this.performSound(element);
+        }
+    }
+
+    // Activate the next or previous sequence, wrapping around
+    switchActiveSequence(direction) {
+        const ids = Array.from(this.sequences.keys());
+        if (ids.length === 0) return;
+
+        const index = ids.indexOf(this.activeSequenceId);
+        const next = index < 0
+            ? ids[direction > 0 ? 0 : ids.length - 1]
+            : ids[(index + direction + ids.length) % ids.length];
+        if (next !== this.activeSequenceId) {
+            this.shadowRoot.querySelector(`.activate-sequence[data-id="${next}"]`)?.click();
+        }
+    }
+
+    // In assign mode, pressing a sound picks it and the next performance key is assigned to it
+    toggleKeyAssign() {
+        this.keyboard.assigning = !this.keyboard.assigning;
+        this.keyboard.assignTarget = null;
+        this.shadowRoot.querySelector('#keyboard-assign').classList.toggle('active', this.keyboard.assigning);
+        this.shadowRoot.querySelector('#keyboard-status').textContent =
+            this.keyboard.assigning ? 'Press a sound, then a key' : '';
+    }
+
+    handleKeyAssignPointer(e) {
+        const target = e.composedPath()[0];
+        if (!this.keyboard.assigning || !target.classList?.contains('element')) return;
+
+        this.keyboard.assignTarget = target.dataset.sound;
+        this.shadowRoot.querySelector('#keyboard-status').textContent =
+            `Press a key for ${this.getSoundName(target.dataset.sound)}`;
+    }
+
+    setupSoundElementHandlers(element) {
+        element.addEventListener(this.interactionMode === 'hover' ? 'mouseenter' : 'click', async () => {
+            if (this.mode === 'explore looping') {
+                await this.toggleLoopingSound(element);
+            } else if (this.mode === 'explore one-off') {
+                await this.playOneOffSound(element);
+            }
+
+            if (this.isRecording) {
+                this.recordEvent(element);
+            }
+        });
+
+        const originalClickHandler = element.onclick;
+        element.onclick = async (event) => {
+            if (!this.initialized) return;
+
+            // Only record to active sequence
+            if (this.isActiveSequenceRecording()) {
+                await this.addToActiveSequence(element);
+                return;
+            }
+
+            // Handle original click behavior if no sequence is recording
+            if (originalClickHandler) {
+                originalClickHandler(event);
+            }
+        };
+    }
+
+    isActiveSequenceRecording() {
+        return this.sequences.get(this.activeSequenceId)?.isRecording ?? false;
+    }
+
+    async addToActiveSequence(element) {
+        const sequence = this.sequences.get(this.activeSequenceId);
+        const soundUrl = element.getAttribute('data-sound');
+
+        try {
+            await this.loadSample(soundUrl);
+        } catch (error) {
+            console.error('Failed to load sample:', error);
+            return;
+        }
+
+        // In step mode a click adds a grid row; hits are placed on the grid
+        if (sequence.mode === 'steps') {
+            sequence.addLane(soundUrl);
+        } else {
+            sequence.addElement(soundUrl);
+        }
+        element.classList.add(`in-sequence-${this.activeSequenceId}`);
+
+        this.updateSequenceElementsUI(this.activeSequenceId);
+        this.updateSequencePlayback(this.activeSequenceId);
+    }
+
+    async enableMidi() {
+        this.midi.access = await requestMidiAccess();
+        this.midi.access.onstatechange = () => this.updateMidiInputs();
+        this.updateMidiInputs();
+        this.setMidiStatus('MIDI enabled');
+    }
+
+    // Listen to every input port and list them; messages are filtered by the selected port
+    updateMidiInputs() {
+        const select = this.shadowRoot.querySelector('#midi-input');
+        const inputs = Array.from(this.midi.access.inputs.values());
+        inputs.forEach(input => {
+            input.onmidimessage = (e) => this.handleMidiMessage(input, e.data, e.timeStamp);
+        });
+        this.updateMidiOutputs();
+
+        select.innerHTML = `
+            <option value="all">All inputs</option>
+            ${inputs.map(input => `
+                <option value="${input.id}" ${input.id === this.midi.inputId ? 'selected' : ''}>${input.name}</option>
+            `).join('')}
+        `;
+        if (!inputs.some(input => input.id === this.midi.inputId)) {
+            this.midi.inputId = 'all';
+        }
+    }
+
+    updateMidiOutputs() {
+        const select = this.shadowRoot.querySelector('#midi-output');
+        const outputs = Array.from(this.midi.access.outputs.values());
+        if (!outputs.some(output => output.id === this.midi.outputId)) {
+            this.midi.outputId = outputs[0]?.id ?? null;
+        }
+
+        select.innerHTML = outputs.map(output => `
+            <option value="${output.id}" ${output.id === this.midi.outputId ? 'selected' : ''}>${output.name}</option>
+        `).join('');
+    }
+
+    getMidiOutput() {
+        return this.midi.access?.outputs.get(this.midi.outputId) ?? null;
+    }
+
+    setMidiStatus(text) {
+        this.shadowRoot.querySelector('#midi-status').textContent = text;
+    }
+
+    handleMidiMessage(input, data, timeStamp) {
+        if (this.midi.inputId !== 'all' && input.id !== this.midi.inputId) return;
+
+        const message = parseMidiMessage(data);
+        if (message?.type === 'noteon') {
+            this.handleMidiNote(message.note, message.velocity);
+        } else if (message?.type === 'cc') {
+            this.handleMidiControl(message.controller, message.value);
+        } else if (['clock', 'start', 'continue', 'stop'].includes(message?.type) && this.midi.clockSource === 'midi') {
+            this.handleMidiClock(message.type, timeStamp);
+        }
+    }
+
+    // Follow the transport messages and the tempo of an external MIDI clock
+    async handleMidiClock(type, timeStamp) {
+        if (type === 'clock') {
+            const times = this.midi.clockTimes;
+            // A gap of more than a second means the clock was restarted
+            if (times.length > 0 && timeStamp - times[times.length - 1] > 1000) {
+                times.length = 0;
+            }
+            times.push(timeStamp);
+            const ticks = CLOCK_FOLLOW_BEATS * MIDI_CLOCK_PPQN;
+            if (times.length > ticks + 1) {
+                times.shift();
+            }
+
+            const tempo = estimateClockTempo(times) ?? this.globalBpm;
+            if (times.length > ticks && Math.abs(tempo - this.globalBpm) >= CLOCK_FOLLOW_THRESHOLD) {
+                const bpm = Math.round(tempo);
+                // Following the clock is not an edit, so it stays out of the undo history
+                this.history.apply(() => this.setGlobalBpm(bpm));
+            }
+        } else if (type === 'stop') {
+            this.stopTransport();
+        } else if (await this.ensureAudioInitialized()) {
+            // The transport has no pause, so continue starts from the top like start
+            this.restartTransport();
+        }
+    }
+
+    // Clock ticks are scheduled ahead with output timestamps, so timer jitter does not reach the clock
+    startMidiClockOut() {
+        this.stopMidiClockOut();
+        this.midi.nextClockTime = performance.now();
+        this.midi.clockTimer = setInterval(() => {
+            const output = this.getMidiOutput();
+            const horizon = performance.now() + 50;
+            while (output && this.midi.nextClockTime < horizon) {
+                output.send([MIDI_CLOCK], this.midi.nextClockTime);
+                this.midi.nextClockTime += 60000 / this.globalBpm / MIDI_CLOCK_PPQN;
+            }
+        }, 10);
+    }
+
+    stopMidiClockOut() {
+        clearInterval(this.midi.clockTimer);
+        this.midi.clockTimer = null;
+    }
+
+    // Start and stop messages for followers of the sent clock; a start is followed by a fresh clock beat
+    sendMidiTransport(playing) {
+        const output = this.midi.clockOut && this.getMidiOutput();
+        if (!output) return;
+
+        if (playing) {
+            output.clear?.();
+            output.send([MIDI_START]);
+            this.startMidiClockOut();
+        } else {
+            output.send([MIDI_STOP]);
+        }
+    }
+
+    // Learned mapping first, otherwise notes from DEFAULT_BASE_NOTE up follow the order of the sounds
+    getMidiNoteElement(note) {
+        const soundUrl = this.midi.notes.get(note);
+        if (soundUrl) return this.getSoundElement(soundUrl);
+        return this.shadowRoot.querySelectorAll('.sound-map .element')[note - DEFAULT_BASE_NOTE] ?? null;
+    }
+
+    async handleMidiNote(note, velocity) {
+        const { learnTarget } = this.midi;
+        if (learnTarget?.soundUrl) {
+            this.midi.notes.set(note, learnTarget.soundUrl);
+            this.finishMidiLearn(`${noteName(note)} → ${this.getSoundName(learnTarget.soundUrl)}`);
+            return;
+        }
+
+        const element = this.getMidiNoteElement(note);
+        if (!element || !await this.ensureAudioInitialized()) return;
+
+        // Notes act like hovering or clicking the sound, with velocity as gain
+        await this.performSound(element, velocity / 127);
+    }
+
+    handleMidiControl(controller, value) {
+        const { learnTarget } = this.midi;
+        if (learnTarget?.selector) {
+            this.midi.controls.set(controller, learnTarget.selector);
+            this.finishMidiLearn(`CC ${controller} → ${learnTarget.label}`);
+            return;
+        }
+
+        const selector = this.midi.controls.get(controller);
+        const slider = selector && this.shadowRoot.querySelector(selector);
+        if (!slider) return;
+
+        // Move the slider over its whole range and let its own handler apply the value
+        const min = parseFloat(slider.min);
+        const max = parseFloat(slider.max);
+        slider.value = min + (max - min) * value / 127;
+        slider.dispatchEvent(new Event('input'));
+    }
+
+    // Sliders that can be mapped to a MIDI controller, by a selector that survives re-rendering
+    getMidiControlTarget(slider) {
+        if (slider.id === 'global-bpm') {
+            return { selector: '#global-bpm', label: 'BPM' };
+        }
+        if (slider.classList.contains('volume-slider')) {
+            return { selector: `.volume-slider[data-id="${slider.dataset.id}"]`, label: 'sequence volume' };
+        }
+        if (slider.classList.contains('shift-slider')) {
+            const { sequence, index } = slider.dataset;
+            return {
+                selector: `.shift-slider[data-sequence="${sequence}"][data-index="${index}"]`,
+                label: `pitch of element ${parseInt(index) + 1}`
+            };
+        }
+        return null;
+    }
+
+    // In learn mode, pressing a sound or a mappable slider picks what the next note or CC is mapped to
+    handleMidiLearnPointer(e) {
+        if (!this.midi.learning) return;
+
+        const target = e.composedPath()[0];
+        if (target.classList?.contains('element')) {
+            const soundUrl = target.dataset.sound;
+            this.midi.learnTarget = { soundUrl };
+            this.setMidiStatus(`Play a note for ${this.getSoundName(soundUrl)}`);
+        } else if (target.type === 'range') {
+            const controlTarget = this.getMidiControlTarget(target);
+            if (controlTarget) {
+                this.midi.learnTarget = controlTarget;
+                this.setMidiStatus(`Move a control for ${controlTarget.label}`);
+            }
+        }
+    }
+
+    toggleMidiLearn() {
+        this.midi.learning = !this.midi.learning;
+        this.midi.learnTarget = null;
+        this.shadowRoot.querySelector('#midi-learn').classList.toggle('active', this.midi.learning);
+        this.setMidiStatus(this.midi.learning ? 'Press a sound, or the BPM, volume or pitch slider' : '');
+    }
+
+    finishMidiLearn(mapping) {
+        this.toggleMidiLearn();
+        this.setMidiStatus(`Mapped ${mapping}`);
+    }
+
+    addSequence(sequenceId, sequence) {
+        this.sequences.set(sequenceId, sequence);
+        if (sequence.isSolo) {
+            this.soloSequences.add(sequenceId);
+        }
+        const snapshot = this.getSequenceSnapshot(sequence);
+        this.sequenceSnapshots.set(sequenceId, snapshot);
+
+        const container = this.shadowRoot.querySelector('.sequence-container');
+        container.appendChild(this.createSequenceControls(sequenceId));
+        this.renderArrangement();
+
+        this.history.push({
+            label: 'Add sequence',
+            undo: () => this.removeSequence(sequenceId),
+            redo: () => this.restoreSequence(sequenceId, snapshot)
+        });
+    }
+
+    removeSequence(sequenceId) {
+        const snapshot = this.getSequenceSnapshot(this.sequences.get(sequenceId));
+        this.sequences.delete(sequenceId);
+        this.sequenceSignals.delete(sequenceId);
+        this.sequenceSnapshots.delete(sequenceId);
+        this.soloSequences.delete(sequenceId);
+        if (this.activeSequenceId === sequenceId) {
+            this.activeSequenceId = null;
+        }
+        this.shadowRoot.querySelector(`.sequence-controls[data-id="${sequenceId}"]`)?.remove();
+        this.updateSequenceMarkers(sequenceId);
+        const clips = this.removeSourceClips('sequence', sequenceId);
+        this.renderArrangement();
+        // Removing a soloed sequence unmutes the others
+        this.sequences.forEach((_, id) => this.updateSequencePlayback(id));
+        this.updateAudioGraph();
+
+        this.history.push({
+            label: 'Remove sequence',
+            undo: () => {
+                this.restoreSequence(sequenceId, snapshot);
+                this.restoreClips(clips);
+            },
+            redo: () => this.removeSequence(sequenceId)
+        });
+    }
+
+    /**
+     * Saved state of a sequence for undo. The tempo follows the global BPM, which has its own
+     * history, and switching patterns is performing rather than editing, so both are left out.
+     */
+    getSequenceSnapshot(sequence) {
+        const { bpm, elements, patternIndex, ...snapshot } = sequence.toJSON();
+        return snapshot;
+    }
+
+    // Put a sequence back into a saved state, rebuilding its controls in place
+    restoreSequence(sequenceId, snapshot) {
+        const previous = this.sequences.get(sequenceId);
+        const sequence = Sequence.fromJSON(snapshot);
+        sequence.bpm = this.globalBpm;
+        sequence.isRecording = previous?.isRecording ?? false;
+        sequence.selectPattern(Math.min(previous?.patternIndex ?? 0, sequence.patterns.length - 1));
+
+        this.sequences.set(sequenceId, sequence);
+        this.sequenceSnapshots.set(sequenceId, snapshot);
+        if (sequence.isSolo) {
+            this.soloSequences.add(sequenceId);
+        } else {
+            this.soloSequences.delete(sequenceId);
+        }
+
+        const controls = this.createSequenceControls(sequenceId);
+        const current = this.shadowRoot.querySelector(`.sequence-controls[data-id="${sequenceId}"]`);
+        if (current) {
+            current.replaceWith(controls);
+        } else {
+            this.shadowRoot.querySelector('.sequence-container').appendChild(controls);
+        }
+        this.updateSequenceElementsUI(sequenceId);
+        this.updateSequenceMarkers(sequenceId);
+        this.renderArrangement();
+        this.sequences.forEach((_, id) => this.updateSequencePlayback(id));
+    }
+
+    // Mark the sounds used by a sequence on the map
+    updateSequenceMarkers(sequenceId) {
+        const className = `in-sequence-${sequenceId}`;
+        this.shadowRoot.querySelectorAll(`.${className}`).forEach(element => element.classList.remove(className));
+        const sequence = this.sequences.get(sequenceId);
+        if (!sequence) return;
+        [...sequence.elements.map(element => element.soundUrl), ...sequence.lanes].forEach(soundUrl =>
+            this.getSoundElement(soundUrl)?.classList.add(className));
+    }
+
+    /**
+     * Record the changes to a sequence since its last snapshot as one undo step. Edit handlers
+     * call this after each change; sounds added while recording into a sequence are recorded
+     * when the recording pass ends, as one step.
+     */
+    recordSequenceEdit(sequenceId, label = 'Edit sequence') {
+        const before = this.sequenceSnapshots.get(sequenceId);
+        const after = this.getSequenceSnapshot(this.sequences.get(sequenceId));
+        const { paths, continuous } = diffPaths(before, after);
+        if (paths.length === 0) return;
+
+        this.sequenceSnapshots.set(sequenceId, after);
+        this.history.push({
+            label,
+            undo: () => this.restoreSequence(sequenceId, before),
+            redo: () => this.restoreSequence(sequenceId, after),
+            // Slider moves on the same parameters merge into one step
+            coalesceKey: continuous ? `sequence-${sequenceId}:${paths.join(',')}` : null
+        });
+    }
+
+    // Record an edit made through the controls of a sequence and play the result
+    applySequenceEdit(sequenceId) {
+        this.recordSequenceEdit(sequenceId);
+        this.updateSequencePlayback(sequenceId);
+    }
+
+    storeScene() {
+        this.scenes.push({
+            name: `Scene ${this.scenes.length + 1}`,
+            patterns: Array.from(this.sequences, ([sequenceId, sequence]) => ({ sequenceId, pattern: sequence.patternIndex }))
+        });
+        this.activeSceneIndex = this.scenes.length - 1;
+        this.updateScenesUI();
+    }
+
+    removeScene(index) {
+        if (this.pendingScene?.index === index) {
+            this.cancelSceneLaunch();
+        }
+        this.scenes.splice(index, 1);
+        this.activeSceneIndex = null;
+        this.updateScenesUI();
+    }
+
+    /**
+     * Switch every sequence in the scene to its pattern at the sequence's next bar line. The audio
+     * switches on its own at that transport position; the selected patterns and the UI follow
+     * once the last sequence has switched.
+     */
+    launchScene(index) {
+        const scene = this.scenes[index];
+        if (!scene) return;
+
+        this.cancelSceneLaunch();
+        this.pendingScene = { index, timeoutId: null };
+        if (!this.transport.playing) {
+            scene.patterns.forEach(({ sequenceId, pattern }) => this.patternSwitches.set(sequenceId, { pattern, position: 0 }));
+            this.finishSceneLaunch();
+            return;
+        }
+
+        const position = this.getTransportPosition() + SCENE_LAUNCH_LOOKAHEAD;
+        let lastSwitch = position;
+        scene.patterns.forEach(({ sequenceId, pattern }) => {
+            const sequence = this.sequences.get(sequenceId);
+            if (!sequence || pattern >= sequence.patterns.length || pattern === sequence.patternIndex) return;
+            const switchPosition = sequence.getNextBarPosition(position);
+            this.patternSwitches.set(sequenceId, { pattern, position: switchPosition });
+            lastSwitch = Math.max(lastSwitch, switchPosition);
+            this.updateSequencePlayback(sequenceId);
+        });
+
+        this.pendingScene.timeoutId = setTimeout(
+            () => this.finishSceneLaunch(),
+            (lastSwitch - this.getTransportPosition()) * 1000
+        );
+        this.updateScenesUI();
+    }
+
+    // Select the patterns of the pending scene launch
+    finishSceneLaunch() {
+        if (!this.pendingScene) return;
+        clearTimeout(this.pendingScene.timeoutId);
+        this.activeSceneIndex = this.pendingScene.index;
+        this.pendingScene = null;
+
+        const switches = Array.from(this.patternSwitches);
+        this.patternSwitches.clear();
+        switches.forEach(([sequenceId, { pattern }]) => this.selectSequencePattern(sequenceId, pattern));
+        this.updateScenesUI();
+    }
+
+    // Drop the pending scene launch; sequences that already switched keep their new pattern
+    cancelSceneLaunch() {
+        if (!this.pendingScene) return;
+        clearTimeout(this.pendingScene.timeoutId);
+        this.pendingScene = null;
+
+        const position = this.getTransportPosition();
+        const switches = Array.from(this.patternSwitches);
+        this.patternSwitches.clear();
+        switches.forEach(([sequenceId, patternSwitch]) => {
+            if (patternSwitch.position <= position) {
+                this.selectSequencePattern(sequenceId, patternSwitch.pattern);
+            } else {
+                this.updateSequencePlayback(sequenceId);
+            }
+        });
+        this.updateScenesUI();
+    }
+
+    updateScenesUI() {
+        const list = this.shadowRoot.querySelector('.scene-list');
+        if (!list) return;
+        list.innerHTML = this.scenes.map((scene, index) => `
+            <span class="scene">
+                <button class="launch-scene ${index === this.activeSceneIndex ? 'active' : ''} ${index === this.pendingScene?.index ? 'launch-pending' : ''}"
+                        data-index="${index}">${scene.name}</button>
+                <button class="remove-scene" data-index="${index}" title="Remove scene">✕</button>
+            </span>
+        `).join('');
+
+        list.querySelectorAll('.launch-scene').forEach(button => {
+            button.addEventListener('click', () => this.launchScene(parseInt(button.dataset.index)));
+        });
+        list.querySelectorAll('.remove-scene').forEach(button => {
+            button.addEventListener('click', () => this.removeScene(parseInt(button.dataset.index)));
+        });
+    }
+
+    getBarSeconds() {
+        return 4 * 60 / this.globalBpm;
+    }
+
+    // Song position in seconds, as a signal: the transport time, cycling through the loop region when it is on
+    getSongTime() {
+        const time = this.getTransportTime();
+        const { loop } = this.arrangement;
+        if (!loop.enabled) return time;
+
+        const bar = this.getBarSeconds();
+        return el.add(
+            el.const({ key: 'song-loop-start', value: loop.start * bar }),
+            el.mod(time, el.const({ key: 'song-loop-length', value: (loop.end - loop.start) * bar }))
+        );
+    }
+
+    // Song position in bars as seen from the main thread
+    getSongPosition() {
+        return songPosition(this.getTransportPosition() / this.getBarSeconds(), this.arrangement.loop);
+    }
+
+    // Seconds into the current repetition of a clip, as a signal
+    getClipTime(clip) {
+        const bar = this.getBarSeconds();
+        return el.mod(el.sub(this.getSongTime(), clip.start * bar), clip.length * bar);
+    }
+
+    // 1 while the song position is within a clip, 0 elsewhere
+    getClipGate(clip) {
+        const bar = this.getBarSeconds();
+        const time = this.getSongTime();
+        return el.mul(el.ge(time, clip.start * bar), el.lt(time, clipEnd(clip, this.arrangement.length) * bar));
+    }
+
+    getSourceClips(type, sourceId) {
+        return this.arrangement.clips.filter(clip => clip.type === type && clip.sourceId === sourceId);
+    }
+
+    // Playing trajectories, or the trajectory clips in song mode
+    getTrajectorySignals() {
+        const signals = this.arrangement.songMode ? this.arrangementTrajectorySignals : this.activeTrajectorySignals;
+        return Array.from(signals.values());
+    }
+
+    // Sequence clips are mixed into the sequence signals; each trajectory clip gets its own players
+    updateArrangementTrajectorySignals() {
+        this.arrangementTrajectorySignals.clear();
+        if (!this.arrangement.songMode) return;
+
+        this.arrangement.clips
+            .filter(clip => clip.type === 'trajectory' && clip.sourceId !== this.currentRecordingId)
+            .forEach(clip => {
+                if (!this.trajectories.get(clip.sourceId)?.events.some(evt => evt.soundUrl)) return;
+                const elapsed = el.max(el.const({value: 0}), this.getClipTime(clip));
+                const gate = this.getClipGate(clip);
+                this.arrangementTrajectorySignals.set(clip.id, this.createTrajectoryVoices(clip.sourceId, elapsed, `clip-${clip.id}`)
+                    .map(channel => el.mul(channel, gate)));
+            });
+    }
+
+    // Rebuild what the arrangement plays after its clips, loop region or song mode change
+    updateArrangementPlayback() {
+        this.updateArrangementTrajectorySignals();
+        this.sequences.forEach((_, id) => this.updateSequencePlayback(id));
+        this.updateAudioGraph();
+    }
+
+    // New clip of a sequence (its selected pattern) or trajectory, as long as one pass of it
+    addClip(type, sourceId, start) {
+        const bar = this.getBarSeconds();
+        let length;
+        let pattern = 0;
+        if (type === 'sequence') {
+            const sequence = this.sequences.get(sourceId);
+            length = barsFor(sequence.getDurationInSeconds(), bar);
+            pattern = sequence.patternIndex;
+        } else {
+            const trajectory = this.trajectories.get(sourceId);
+            const loopEnd = trajectory.events[trajectory.events.length - 1]?.time ?? 0;
+            length = barsFor((loopEnd - trajectory.loopStart) / trajectory.speed, bar);
+        }
+
+        const clip = createClip({ type, sourceId, pattern, start, length });
+        this.arrangement.clips.push(clip);
+        this.selectedClipId = clip.id;
+        this.renderArrangement();
+        this.updateArrangementPlayback();
+    }
+
+    removeClip(clipId) {
+        this.arrangement.clips = this.arrangement.clips.filter(clip => clip.id !== clipId);
+        if (this.selectedClipId === clipId) {
+            this.selectedClipId = null;
+        }
+        this.renderArrangement();
+        this.updateArrangementPlayback();
+    }
+
+    // Take the clips of a removed sequence or trajectory out of the arrangement, returning them for undo
+    removeSourceClips(type, sourceId) {
+        const clips = this.getSourceClips(type, sourceId);
+        this.arrangement.clips = this.arrangement.clips.filter(clip => !clips.includes(clip));
+        if (clips.some(clip => clip.id === this.selectedClipId)) {
+            this.selectedClipId = null;
+        }
+        return clips;
+    }
+
+    restoreClips(clips) {
+        this.arrangement.clips.push(...clips);
+        this.renderArrangement();
+        this.updateArrangementPlayback();
+    }
+
+    updateArrangementControlsUI() {
+        const { songMode, length, loop } = this.arrangement;
+        this.shadowRoot.querySelector('#song-mode').checked = songMode;
+        this.shadowRoot.querySelector('#song-length').value = length;
+        this.shadowRoot.querySelector('#song-loop').checked = loop.enabled;
+        this.shadowRoot.querySelector('#song-loop-start').value = loop.start + 1;
+        this.shadowRoot.querySelector('#song-loop-end').value = loop.end;
+    }
+
+    // Ruler with the loop region, then one lane per sequence and trajectory with its clips
+    renderArrangement() {
+        const timeline = this.shadowRoot.querySelector('.arrangement-timeline');
+        if (!timeline) return;
+
+        const { length, clips } = this.arrangement;
+        const width = length * ARRANGEMENT_BAR_WIDTH;
+        const lanes = [
+            ...Array.from(this.sequences.keys(), id => ({ type: 'sequence', id, name: `Sequence ${id}` })),
+            ...Array.from(this.trajectories.keys(), id => ({ type: 'trajectory', id, name: `Trajectory ${id}` }))
+        ];
+        const clipLabel = (clip) => {
+            const name = clip.type === 'sequence' ?
+                this.sequences.get(clip.sourceId)?.patterns[clip.pattern]?.name ?? '?' : 'T';
+            return clip.repeats > 1 ? `${name} ×${clip.repeats}` : name;
+        };
+
+        timeline.innerHTML = `
+            <div class="arrangement-row">
+                <span class="arrangement-lane-name"></span>
+                <div class="arrangement-track arrangement-ruler" style="width: ${width}px">
+                    ${Array.from({ length }, (_, bar) => bar % 4 === 0 ? `
+                        <span class="arrangement-bar-number" style="left: ${bar * ARRANGEMENT_BAR_WIDTH}px">${bar + 1}</span>
+                    ` : '').join('')}
+                    <div class="arrangement-loop"></div>
+                </div>
+            </div>
+            ${lanes.map(lane => `
+                <div class="arrangement-row">
+                    <span class="arrangement-lane-name" title="${lane.name}">${lane.name}</span>
+                    <div class="arrangement-track arrangement-lane" data-type="${lane.type}" data-source="${lane.id}" style="width: ${width}px">
+                        ${clips.filter(clip => clip.type === lane.type && clip.sourceId === lane.id).map(clip => `
+                            <div class="arrangement-clip ${clip.type} ${clip.id === this.selectedClipId ? 'selected' : ''}" data-clip="${clip.id}"
+                                 style="left: ${clip.start * ARRANGEMENT_BAR_WIDTH}px; width: ${Math.max(0, clipEnd(clip, length) - clip.start) * ARRANGEMENT_BAR_WIDTH}px;
+                                        background-size: ${clip.length * ARRANGEMENT_BAR_WIDTH}px 100%">${clipLabel(clip)}</div>
+                        `).join('')}
+                    </div>
+                </div>
+            `).join('')}
+            <div class="arrangement-playhead"></div>
+        `;
+
+        this.updateArrangementLoopUI();
+        this.updateArrangementPlayhead();
+        this.renderClipEditor();
+    }
+
+    updateArrangementLoopUI() {
+        const region = this.shadowRoot.querySelector('.arrangement-loop');
+        if (!region) return;
+        const { loop } = this.arrangement;
+        region.classList.toggle('enabled', loop.enabled);
+        region.style.left = `${loop.start * ARRANGEMENT_BAR_WIDTH}px`;
+        region.style.width = `${(loop.end - loop.start) * ARRANGEMENT_BAR_WIDTH}px`;
+    }
+
+    updateArrangementPlayhead() {
+        const playhead = this.shadowRoot.querySelector('.arrangement-playhead');
+        if (playhead) {
+            playhead.style.left = `${ARRANGEMENT_LANE_NAME_WIDTH + this.getSongPosition() * ARRANGEMENT_BAR_WIDTH}px`;
+        }
+    }
+
+    // Start, length, repeats and pattern of the selected clip
+    renderClipEditor() {
+        const editor = this.shadowRoot.querySelector('.clip-editor');
+        const clip = this.arrangement.clips.find(clip => clip.id === this.selectedClipId);
+        if (!clip) {
+            editor.innerHTML = '';
+            return;
+        }
+
+        const sequence = clip.type === 'sequence' ? this.sequences.get(clip.sourceId) : null;
+        editor.innerHTML = `
+            <label>Start bar <input type="number" class="clip-start" min="1" step="1" value="${clip.start + 1}"></label>
+            <label>Length <input type="number" class="clip-length" min="1" step="1" value="${clip.length}"> bars</label>
+            <label>Repeats <input type="number" class="clip-repeats" min="1" step="1" value="${clip.repeats}"></label>
+            ${sequence ? `
+                <label>Pattern
+                    <select class="clip-pattern">
+                        ${sequence.patterns.map((pattern, index) => `
+                            <option value="${index}" ${index === clip.pattern ? 'selected' : ''}>${pattern.name}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            ` : ''}
+            <button class="remove-clip">Remove Clip</button>
+        `;
+
+        const updateClip = (changes) => {
+            Object.assign(clip, changes);
+            this.renderArrangement();
+            this.updateArrangementPlayback();
+        };
+        const wholeBars = (input, min) => {
+            const value = parseInt(input.value);
+            return value >= min ? value : null;
+        };
+
+        editor.querySelector('.clip-start').addEventListener('change', (e) => {
+            const bar = wholeBars(e.target, 1);
+            if (bar !== null) updateClip({ start: bar - 1 });
+        });
+        editor.querySelector('.clip-length').addEventListener('change', (e) => {
+            const length = wholeBars(e.target, 1);
+            if (length !== null) updateClip({ length });
+        });
+        editor.querySelector('.clip-repeats').addEventListener('change', (e) => {
+            const repeats = wholeBars(e.target, 1);
+            if (repeats !== null) updateClip({ repeats });
+        });
+        editor.querySelector('.clip-pattern')?.addEventListener('change', (e) => {
+            updateClip({ pattern: parseInt(e.target.value) });
+        });
+        editor.querySelector('.remove-clip').addEventListener('click', () => {
+            this.removeClip(clip.id);
+        });
+    }
+
+    // Double-click a lane to add a clip, drag clips to move them and drag on the ruler to set the loop region
+    setupArrangementHandlers() {
+        const timeline = this.shadowRoot.querySelector('.arrangement-timeline');
+
+        timeline.addEventListener('dblclick', (e) => {
+            const lane = e.target.closest('.arrangement-lane');
+            if (!lane || e.target.closest('.arrangement-clip')) return;
+            const bar = Math.floor((e.clientX - lane.getBoundingClientRect().left) / ARRANGEMENT_BAR_WIDTH);
+            this.addClip(lane.dataset.type, Number(lane.dataset.source), Math.max(0, bar));
+        });
+
+        timeline.addEventListener('pointerdown', (e) => {
+            const { length } = this.arrangement;
+            const clipElement = e.target.closest('.arrangement-clip');
+            const ruler = e.target.closest('.arrangement-ruler');
+
+            if (clipElement) {
+                const clip = this.arrangement.clips.find(clip => clip.id === clipElement.dataset.clip);
+                const originalStart = clip.start;
+                this.selectedClipId = clip.id;
+                this.shadowRoot.querySelectorAll('.arrangement-clip').forEach(element =>
+                    element.classList.toggle('selected', element === clipElement));
+                this.renderClipEditor();
+
+                const grabBar = this.dragOnTimeline(clipElement.parentElement, e, length, (bar) => {
+                    clip.start = Math.max(0, Math.min(length - 1, originalStart + Math.round(bar - grabBar)));
+                    clipElement.style.left = `${clip.start * ARRANGEMENT_BAR_WIDTH}px`;
+                }, () => {
+                    if (clip.start === originalStart) return;
+                    this.renderArrangement();
+                    this.updateArrangementPlayback();
+                });
+            } else if (ruler) {
+                const { loop } = this.arrangement;
+                const anchor = Math.min(length - 1, Math.floor(this.dragOnTimeline(ruler, e, length, (bar) => {
+                    const current = Math.min(length - 1, Math.floor(bar));
+                    loop.start = Math.min(anchor, current);
+                    loop.end = Math.max(anchor, current) + 1;
+                    this.updateArrangementLoopUI();
+                }, () => {
+                    this.updateArrangementControlsUI();
+                    this.updateArrangementPlayback();
+                })));
+                loop.enabled = true;
+                loop.start = anchor;
+                loop.end = anchor + 1;
+                this.updateArrangementLoopUI();
+            }
+        });
+
+        this.shadowRoot.querySelector('#song-mode').addEventListener('change', (e) => {
+            this.arrangement.songMode = e.target.checked;
+            this.updateArrangementPlayback();
+            this.updateTransportUI();
+        });
+        this.shadowRoot.querySelector('#song-length').addEventListener('change', (e) => {
+            const length = parseInt(e.target.value);
+            if (!(length >= 1)) return;
+            this.arrangement.length = length;
+            this.renderArrangement();
+            // Clips are cut off at the song end
+            this.updateArrangementPlayback();
+        });
+        this.shadowRoot.querySelector('#song-loop').addEventListener('change', (e) => {
+            this.arrangement.loop.enabled = e.target.checked;
+            this.updateArrangementLoopUI();
+            this.updateArrangementPlayback();
+        });
+        ['#song-loop-start', '#song-loop-end'].forEach(selector => {
+            this.shadowRoot.querySelector(selector).addEventListener('change', () => {
+                const start = parseInt(this.shadowRoot.querySelector('#song-loop-start').value) - 1;
+                const end = parseInt(this.shadowRoot.querySelector('#song-loop-end').value);
+                if (!(start >= 0 && end > start)) return;
+                Object.assign(this.arrangement.loop, { start, end });
+                this.updateArrangementLoopUI();
+                this.updateArrangementPlayback();
+            });
+        });
+    }
+
+    setGlobalBpm(bpm) {
+        const slider = this.shadowRoot.querySelector('#global-bpm');
+        slider.value = bpm;
+        slider.dispatchEvent(new Event('input'));
+    }
+
+    // A recording pass in progress becomes a step of its own first, so undo does not drop it
+    undo() {
+        this.recordRecordingPass();
+        this.history.undo();
+    }
+
+    redo() {
+        this.recordRecordingPass();
+        this.history.redo();
+    }
+
+    recordRecordingPass() {
+        if (this.isActiveSequenceRecording()) {
+            this.recordSequenceEdit(this.activeSequenceId, 'Record into sequence');
+        }
+    }
+
+    updateHistoryUI() {
+        const undoBtn = this.shadowRoot.querySelector('#undo');
+        const redoBtn = this.shadowRoot.querySelector('#redo');
+        if (!undoBtn || !redoBtn) return;
+        undoBtn.disabled = !this.history.undoLabel;
+        undoBtn.title = this.history.undoLabel ? `Undo ${this.history.undoLabel.toLowerCase()}` : '';
+        redoBtn.disabled = !this.history.redoLabel;
+        redoBtn.title = this.history.redoLabel ? `Redo ${this.history.redoLabel.toLowerCase()}` : '';
+    }
+
+    updateGlobalControlsUI() {
+        this.shadowRoot.querySelector('#global-bpm').value = this.globalBpm;
+        this.shadowRoot.querySelector('#bpm-value').textContent = this.globalBpm;
+
+        this.shadowRoot.querySelector('#playback-rate').value = this.sampleParams.playbackRate;
+        this.shadowRoot.querySelector('#playback-rate-value').textContent =
+            this.sampleParams.playbackRate.toFixed(2);
+        this.shadowRoot.querySelector('#start-offset').value = this.sampleParams.startOffset;
+        this.shadowRoot.querySelector('#start-offset-value').textContent = this.sampleParams.startOffset;
+        this.shadowRoot.querySelector('#end-offset').value = this.sampleParams.endOffset;
+        this.shadowRoot.querySelector('#end-offset-value').textContent = this.sampleParams.endOffset;
+
+        this.shadowRoot.querySelector('#master-gain').value = this.masterParams.gain;
+        this.shadowRoot.querySelector('#master-gain-value').textContent = formatDecibels(this.masterParams.gain);
+        this.shadowRoot.querySelector('#master-limiter').checked = this.masterParams.limiter;
+        this.shadowRoot.querySelector('#limiter-threshold').value = this.masterParams.threshold;
+        this.shadowRoot.querySelector('#limiter-threshold-value').textContent = `${this.masterParams.threshold} dB`;
+    }
+
+    serializeProject() {
+        return {
+            schemaVersion: PROJECT_SCHEMA_VERSION,
+            globalBpm: this.globalBpm,
+            sampleParams: { ...this.sampleParams },
+            master: { ...this.masterParams },
+            grooves: Array.from(this.grooves, ([id, groove]) => ({ id, ...groove })),
+            scenes: this.scenes.map(scene => ({ name: scene.name, patterns: scene.patterns.map(entry => ({ ...entry })) })),
+            arrangement: arrangementToJSON(this.arrangement),
+            sequences: Array.from(this.sequences, ([id, sequence]) => ({
+                id,
+                ...sequence.toJSON()
+            })),
+            trajectories: Array.from(this.trajectories.keys(), id => ({
+                id,
+                ...this.serializeTrajectory(id)
+            }))
+        };
+    }
+
+    serializeTrajectory(trajectoryId) {
+        const trajectory = this.trajectories.get(trajectoryId);
+        return {
+            events: trajectory.events.map(evt => ({ ...evt })),
+            isPlaying: trajectory.isPlaying,
+            loopStart: trajectory.loopStart,
+            speed: trajectory.speed,
+            direction: trajectory.direction,
+            repeats: trajectory.repeats,
+            barSync: trajectory.barSync
+        };
+    }
+
+    // Add a trajectory from its serialized form, with its timeline item
+    addTrajectory(trajectoryId, data) {
+        this.trajectories.set(trajectoryId, {
+            events: data.events.map(evt => ({ time: evt.time, soundUrl: evt.soundUrl })),
+            isPlaying: false,
+            loopStart: data.loopStart ?? 0,
+            speed: data.speed ?? DEFAULT_TRAJECTORY_PLAYBACK.speed,
+            direction: data.direction ?? DEFAULT_TRAJECTORY_PLAYBACK.direction,
+            repeats: data.repeats ?? DEFAULT_TRAJECTORY_PLAYBACK.repeats,
+            barSync: data.barSync ?? DEFAULT_TRAJECTORY_PLAYBACK.barSync,
+            startPosition: 0
+        });
+        const container = this.shadowRoot.querySelector('.trajectories-container');
+        container.appendChild(this.createTrajectoryElement(trajectoryId));
+        this.renderTrajectoryTimeline(trajectoryId);
+        this.renderArrangement();
+        if (data.isPlaying) {
+            this.playTrajectory(trajectoryId);
+        }
+        this.updateArrangementTrajectorySignals();
+        this.updateAudioGraph();
+    }
+
+    // Clear a trajectory along with its timeline item, as an undoable step
+    removeTrajectory(trajectoryId) {
+        const data = this.serializeTrajectory(trajectoryId);
+        this.clearTrajectory(trajectoryId);
+        this.shadowRoot.querySelector(`.trajectory-item[data-id="${trajectoryId}"]`)?.remove();
+        const clips = this.removeSourceClips('trajectory', trajectoryId);
+        this.renderArrangement();
+        this.updateArrangementTrajectorySignals();
+        this.updateAudioGraph();
+
+        this.history.push({
+            label: 'Clear trajectory',
+            undo: () => {
+                this.addTrajectory(trajectoryId, data);
+                this.restoreClips(clips);
+            },
+            redo: () => this.removeTrajectory(trajectoryId)
+        });
+    }
+
+    exportProject() {
+        const json = JSON.stringify(this.serializeProject(), null, 2);
+        downloadBlob(new Blob([json], { type: 'application/json' }), `project-${Date.now()}.json`);
+    }
+
+    async importProject(file) {
+        const data = JSON.parse(await file.text());
+        await this.loadProject(data);
+    }
+
+    clearSession() {
+        if (this.isRecording) {
+            this.stopTrajectoryRecording();
+            this.shadowRoot.querySelector('#start-recording').disabled = false;
+            this.shadowRoot.querySelector('#stop-recording').disabled = true;
+        }
+
+        Array.from(this.trajectories.keys()).forEach(id => this.clearTrajectory(id));
+        this.shadowRoot.querySelector('.trajectories-container').innerHTML = '';
+
+        this.grooves.clear();
+        clearTimeout(this.pendingScene?.timeoutId);
+        this.pendingScene = null;
+        this.patternSwitches.clear();
+        this.scenes = [];
+        this.activeSceneIndex = null;
+        this.updateScenesUI();
+        this.arrangement = createArrangement();
+        this.arrangementTrajectorySignals.clear();
+        this.selectedClipId = null;
+        this.updateArrangementControlsUI();
+        this.sequences.clear();
+        this.sequenceSignals.clear();
+        this.soloSequences.clear();
+        this.activeSequenceId = null;
+        this.shadowRoot.querySelector('.sequence-container').innerHTML = '';
+        this.shadowRoot.querySelectorAll('.element').forEach(element => {
+            Array.from(element.classList)
+                .filter(className => className.startsWith('in-sequence-'))
+                .forEach(className => element.classList.remove(className));
+        });
+
+        this.renderArrangement();
+        this.updateAudioGraph();
+    }
+
+    async loadProject(project) {
+        if (!project || !Number.isInteger(project.schemaVersion) ||
+            project.schemaVersion < 1 || project.schemaVersion > PROJECT_SCHEMA_VERSION) {
+            throw new Error(`Unsupported project schema version: ${project?.schemaVersion}`);
+        }
+        const data = migrateProject(project);
+
+        if (!await this.ensureAudioInitialized()) {
+            throw new Error('Audio could not be initialized');
+        }
+
+        this.clearSession();
+
+        const sequencesData = data.sequences || [];
+        const trajectoriesData = data.trajectories || [];
+
+        // Re-fetch every referenced sample into the virtual file system
+        const soundUrls = new Set();
+        sequencesData.forEach(sequenceData => {
+            sequenceData.patterns.forEach(pattern =>
+                (pattern.elements || []).forEach(element => soundUrls.add(element.soundUrl)));
+            (sequenceData.lanes || []).forEach(soundUrl => soundUrls.add(soundUrl));
+        });
+        trajectoriesData.forEach(trajectoryData =>
+            trajectoryData.events.forEach(evt => evt.soundUrl && soundUrls.add(evt.soundUrl)));
+        await Promise.all(Array.from(soundUrls, soundUrl =>
+            this.loadSample(soundUrl).catch(error =>
+                console.error('Failed to load sample:', soundUrl, error))));
+
+        this.globalBpm = data.globalBpm ?? this.globalBpm;
+        this.sampleParams = { ...this.sampleParams, ...data.sampleParams };
+        this.masterParams = { ...this.masterParams, ...data.master };
+        (data.grooves || []).forEach(({ id, ...groove }) => this.grooves.set(id, groove));
+        this.scenes = (data.scenes || []).map(scene => ({ name: scene.name, patterns: scene.patterns.map(entry => ({ ...entry })) }));
+        this.arrangement = arrangementFromJSON(data.arrangement);
+        this.updateGlobalControlsUI();
+        this.updateScenesUI();
+        this.updateArrangementControlsUI();
+
+        sequencesData.forEach(sequenceData => {
+            const sequence = Sequence.fromJSON(sequenceData);
+            this.addSequence(sequenceData.id, sequence);
+            this.updateSequenceElementsUI(sequenceData.id);
+            this.updateSequenceMarkers(sequenceData.id);
+        });
+        this.sequences.forEach((_, id) => this.updateSequencePlayback(id));
+
+        trajectoriesData.forEach(({ id, ...trajectoryData }) => this.addTrajectory(id, trajectoryData));
+
+        this.renderArrangement();
+        this.updateArrangementPlayback();
+        this.history.clear();
+    }
+
+    disconnectedCallback() {
+        window.removeEventListener('keydown', this.windowKeyDownHandler);
+    }
+
+    connectedCallback() {
+        this.shadowRoot.innerHTML = `
+            <style>
+                :host {
+                    display: block;
+                }
+                .container {
+                    padding: 20px;
+                }
+                .sound-map {
+                    display: block;
+                    width: 100%;
+                    height: 500px;
+                    background: #fafafa;
+                    border-radius: 8px;
+                    cursor: grab;
+                    touch-action: none;
+                    user-select: none;
+                }
+                .sound-map.panning {
+                    cursor: grabbing;
+                }
+                .element {
+                    fill: var(--cluster-color, var(--primary-color, #444));
+                    stroke: white;
+                    stroke-width: 1.5;
+                    cursor: pointer;
+                    transition: fill 0.3s;
+                }
+                .element:hover {
+                    stroke: #333;
+                }
+                .element.looping {
+                    fill: #008800;
+                }
+                .element.launch-pending {
+                    stroke: #008800;
+                    stroke-width: 3;
+                    stroke-dasharray: 3 2;
+                }
+                .sound-point.pending .element {
+                    fill: #bbb;
+                }
+                .sound-point text {
+                    font-size: 11px;
+                    fill: #333;
+                    pointer-events: none;
                 }
-                .container {
-                    padding: 20px;
+                .sound-point text.key-label {
+                    font-size: 9px;
+                    font-weight: bold;
+                    fill: white;
+                    text-anchor: middle;
                 }
-                .element {
-                    padding: 20px;
-                    margin: 10px;
-                    background-color: var(--primary-color, #444);
-                    color: white;
+                #content {
+                    min-height: 60px;
+                    border: 2px dashed transparent;
                     border-radius: 8px;
-                    cursor: pointer;
-                    transition: background-color 0.3s;
                 }
-                .element.looping {
-                    background-color: #008800;
+                #content.drop-target {
+                    border-color: #4488ff;
+                }
+                .drop-hint {
+                    margin: 10px;
+                    font-size: 0.9em;
+                    color: #666;
+                }
+                .sample-import-controls {
+                    display: flex;
+                    gap: 10px;
+                }
+                .keyboard-controls {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                }
+                #keyboard-assign.active {
+                    background-color: #ffaa00;
+                }
+                .keyboard-shortcuts {
+                    font-size: 12px;
+                    color: #666;
+                }
+                .midi-controls {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 10px;
+                }
+                #midi-learn.active {
+                    background-color: #ffaa00;
                 }
                 .mode-buttons {
                     margin-bottom: 20px;
@@ -907,8 +4473,115 @@ class TestComponent extends HTMLElement {
                     opacity: 0.5;
                     cursor: not-allowed;
                 }
-                .recording {
-                    background-color: #ff4444 !important;
+                .element.recording {
+                    stroke: #ff4444;
+                    stroke-width: 3;
+                }
+                .arrangement {
+                    margin: 20px 0;
+                    padding: 10px;
+                    background: #f5f5f5;
+                    border-radius: 4px;
+                }
+                .arrangement-header {
+                    display: flex;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    gap: 10px;
+                }
+                .arrangement-header input[type="number"] {
+                    width: 50px;
+                }
+                .arrangement-hint {
+                    font-size: 0.8em;
+                    color: #666;
+                }
+                .arrangement-timeline {
+                    position: relative;
+                    overflow-x: auto;
+                    margin: 10px 0;
+                    user-select: none;
+                }
+                .arrangement-row {
+                    display: flex;
+                    width: max-content;
+                }
+                .arrangement-lane-name {
+                    flex: none;
+                    width: ${ARRANGEMENT_LANE_NAME_WIDTH}px;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    font-size: 0.8em;
+                    line-height: 24px;
+                }
+                .arrangement-track {
+                    position: relative;
+                    flex: none;
+                    height: 24px;
+                    border-bottom: 1px solid #ddd;
+                    background: repeating-linear-gradient(to right, #ddd 0 1px, transparent 1px ${ARRANGEMENT_BAR_WIDTH}px);
+                }
+                .arrangement-ruler {
+                    height: 18px;
+                    cursor: col-resize;
+                }
+                .arrangement-bar-number {
+                    position: absolute;
+                    padding-left: 2px;
+                    font-size: 0.7em;
+                    pointer-events: none;
+                }
+                .arrangement-loop {
+                    position: absolute;
+                    top: 0;
+                    bottom: 0;
+                    background: rgba(0, 0, 0, 0.1);
+                    pointer-events: none;
+                }
+                .arrangement-loop.enabled {
+                    background: rgba(68, 136, 255, 0.35);
+                }
+                .arrangement-clip {
+                    position: absolute;
+                    top: 2px;
+                    bottom: 2px;
+                    box-sizing: border-box;
+                    padding-left: 3px;
+                    overflow: hidden;
+                    font-size: 0.75em;
+                    line-height: 20px;
+                    color: white;
+                    border-radius: 2px;
+                    cursor: grab;
+                    /* A divider at the start of every repeat */
+                    background-image: linear-gradient(to right, rgba(255, 255, 255, 0.6) 0 1px, transparent 1px);
+                }
+                .arrangement-clip.sequence {
+                    background-color: #4488ff;
+                }
+                .arrangement-clip.trajectory {
+                    background-color: #ff8844;
+                }
+                .arrangement-clip.selected {
+                    outline: 2px solid #333;
+                }
+                .arrangement-playhead {
+                    position: absolute;
+                    top: 0;
+                    bottom: 0;
+                    width: 1px;
+                    background: #ff4444;
+                    pointer-events: none;
+                }
+                .clip-editor {
+                    display: flex;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    gap: 10px;
+                }
+                .clip-editor input[type="number"] {
+                    width: 50px;
                 }
                 .trajectories-container {
                     margin: 20px 0;
@@ -924,10 +4597,70 @@ class TestComponent extends HTMLElement {
                     background: #f0f0f0;
                     border-radius: 4px;
                 }
+                .trajectory-item {
+                    flex-wrap: wrap;
+                }
                 .trajectory-item button {
                     padding: 5px 10px;
                     cursor: pointer;
                 }
+                .trajectory-playback {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                }
+                .trajectory-timeline {
+                    position: relative;
+                    flex-basis: 100%;
+                    height: 44px;
+                    background: #fff;
+                    border-radius: 4px;
+                    overflow: hidden;
+                    touch-action: none;
+                }
+                .trajectory-timeline:empty {
+                    display: none;
+                }
+                .timeline-loop {
+                    position: absolute;
+                    top: 0;
+                    bottom: 0;
+                    background: rgba(68, 136, 255, 0.12);
+                }
+                .timeline-event {
+                    position: absolute;
+                    top: 8px;
+                    max-width: 90px;
+                    padding: 4px 6px;
+                    border-radius: 3px;
+                    background: var(--primary-color, #444);
+                    color: white;
+                    font-size: 11px;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    cursor: grab;
+                    user-select: none;
+                }
+                .timeline-event.selected {
+                    background: #4488ff;
+                }
+                .timeline-marker {
+                    position: absolute;
+                    top: 0;
+                    bottom: 0;
+                    width: 6px;
+                    margin-left: -3px;
+                    background: #ffaa00;
+                    cursor: ew-resize;
+                }
+                .trajectory-event-editor {
+                    display: flex;
+                    gap: 10px;
+                }
+                .trajectory-event-editor[hidden] {
+                    display: none;
+                }
                 .sequence-controls {
                     margin: 20px 0;
                     padding: 15px;
@@ -1031,6 +4764,113 @@ class TestComponent extends HTMLElement {
                     background: #f5f5f5;
                     border-radius: 8px;
                 }
+                .transport-controls {
+                    display: flex;
+                    align-items: center;
+                    gap: 10px;
+                    margin-bottom: 10px;
+                }
+                #transport-play.active {
+                    background-color: #4CAF50;
+                    color: white;
+                }
+                .scene-controls {
+                    display: flex;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    gap: 10px;
+                    margin: 10px 0;
+                }
+                .scene-list {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 5px;
+                }
+                .launch-scene.active {
+                    background-color: #4488ff;
+                    color: white;
+                }
+                .launch-scene.launch-pending {
+                    outline: 2px dashed #4488ff;
+                }
+                #transport-position {
+                    min-width: 4em;
+                    font-family: monospace;
+                    font-size: 1.2em;
+                }
+                .master-controls {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 20px;
+                    margin: 10px 0;
+                }
+                .master-controls h4 {
+                    margin: 0;
+                }
+                .master-meters {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 4px;
+                }
+                .meter {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    font-size: 0.8em;
+                }
+                .meter-track {
+                    position: relative;
+                    width: 200px;
+                    height: 10px;
+                    background: #ddd;
+                    border-radius: 2px;
+                    overflow: hidden;
+                }
+                .meter-bar {
+                    position: absolute;
+                    left: 0;
+                    width: 0;
+                }
+                .meter-peak {
+                    top: 0;
+                    height: 100%;
+                    background: #8bc34a;
+                }
+                .meter-rms {
+                    top: 25%;
+                    height: 50%;
+                    background: #33691e;
+                }
+                .meter-value {
+                    width: 60px;
+                    color: #666;
+                }
+                .clip-indicator {
+                    padding: 0 4px;
+                    border-radius: 2px;
+                    color: #999;
+                    cursor: pointer;
+                }
+                .clip-indicator.clipping {
+                    background: #ff4444;
+                    color: white;
+                }
+                .export-controls {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 10px;
+                    margin-top: 10px;
+                }
+                .export-controls input[type="number"] {
+                    width: 60px;
+                }
+                .project-controls {
+                    display: flex;
+                    gap: 10px;
+                    margin-top: 10px;
+                }
                 .sequence-controls.active-sequence {
                     border: 2px solid #4CAF50;
                     background-color: #f0f7f0;
@@ -1071,6 +4911,69 @@ class TestComponent extends HTMLElement {
                             </label>
                         </div>
                     </div>
+                    <div class="control-group">
+                        <h3>Launch</h3>
+                        <select id="launch-quantize">
+                            ${Object.entries(LAUNCH_QUANTIZE_OPTIONS).map(([value, label]) => `
+                                <option value="${value}" ${value === this.launchQuantize ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <h3>Loop Sync</h3>
+                        <select id="loop-tempo-sync">
+                            ${Object.entries(LOOP_TEMPO_SYNC_MODES).map(([value, label]) => `
+                                <option value="${value}" ${value === this.loopTempoSync ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                    </div>
+                    <div class="control-group">
+                        <h3>Keyboard</h3>
+                        <div class="keyboard-controls">
+                            <label>
+                                <input type="checkbox" id="keyboard-enabled" checked>
+                                Play sounds with keys
+                            </label>
+                            <button id="keyboard-assign">Assign Keys</button>
+                            <span id="keyboard-status"></span>
+                        </div>
+                        <p class="keyboard-shortcuts">
+                            Space: play / stop, Shift+Space: restart, \`: record trajectory,
+                            ↑ / ↓: switch sequence, Esc: deactivate sequence
+                        </p>
+                    </div>
+                    <div class="control-group">
+                        <h3>MIDI</h3>
+                        <div class="midi-controls">
+                            <button id="midi-enable">Enable MIDI</button>
+                            <select id="midi-input" disabled>
+                                <option value="all">All inputs</option>
+                            </select>
+                            <button id="midi-learn" disabled>Learn</button>
+                            <label>
+                                Clock
+                                <select id="midi-clock-source" disabled>
+                                    <option value="internal">Internal</option>
+                                    <option value="midi">MIDI in</option>
+                                </select>
+                            </label>
+                            <select id="midi-output" disabled></select>
+                            <label>
+                                <input type="checkbox" id="midi-clock-out" disabled>
+                                Send clock
+                            </label>
+                            <span id="midi-status"></span>
+                        </div>
+                    </div>
+                    <div class="control-group">
+                        <h3>Samples</h3>
+                        <div class="sample-import-controls">
+                            <button id="import-files">Import Files</button>
+                            <button id="import-folder">Import Folder</button>
+                            <input type="file" id="sample-files" accept="audio/*" multiple hidden>
+                            <input type="file" id="sample-folder" webkitdirectory multiple hidden>
+                        </div>
+                    </div>
                     <div class="control-group">
                         <h3>Trajectory</h3>
                         <div class="trajectory-controls">
@@ -1108,18 +5011,105 @@ class TestComponent extends HTMLElement {
 
                 <div class="global-controls">
                     <h3>Global Settings</h3>
+                    <div class="transport-controls">
+                        <button id="transport-play">Play</button>
+                        <button id="transport-stop">Stop</button>
+                        <button id="transport-restart">Restart</button>
+                        <span id="transport-position">1:1</span>
+                    </div>
+                    <div class="history-controls">
+                        <button id="undo" disabled>Undo</button>
+                        <button id="redo" disabled>Redo</button>
+                    </div>
+                    <div class="scene-controls">
+                        <label>Scenes:</label>
+                        <div class="scene-list"></div>
+                        <button id="store-scene" title="Store the selected pattern of every sequence">Store Scene</button>
+                    </div>
                     <div class="parameter-group">
                         <label>BPM: <span id="bpm-value">120</span></label>
                         <input type="range" id="global-bpm" min="10" max="300" value="120">
                     </div>
+                    <div class="master-controls">
+                        <h4>Master</h4>
+                        <div class="parameter-group">
+                            <label>Gain: <span id="master-gain-value">0.0 dB</span></label>
+                            <input type="range" id="master-gain" min="0" max="2" step="0.01" value="1">
+                        </div>
+                        <div class="parameter-group">
+                            <label>
+                                <input type="checkbox" id="master-limiter" checked>
+                                Limiter threshold: <span id="limiter-threshold-value">-3 dB</span>
+                            </label>
+                            <input type="range" id="limiter-threshold" min="-24" max="0" step="0.5" value="-3">
+                        </div>
+                        <div class="master-meters">
+                            ${['left', 'right'].map(side => `
+                                <div class="meter">
+                                    <span class="meter-label">${side === 'left' ? 'L' : 'R'}</span>
+                                    <div class="meter-track">
+                                        <div class="meter-bar meter-peak" data-meter="master-peak-${side}"></div>
+                                        <div class="meter-bar meter-rms" data-meter="master-rms-${side}"></div>
+                                    </div>
+                                    <span class="meter-value" data-meter="master-peak-${side}">-∞ dB</span>
+                                    <span class="meter-value" data-meter="master-rms-${side}">-∞ dB</span>
+                                    <span class="clip-indicator" data-meter="master-peak-${side}">CLIP</span>
+                                </div>
+                            `).join('')}
+                        </div>
+                    </div>
                     <button id="add-sequence">Add Sequence</button>
+                    <button id="import-midi">Import MIDI</button>
+                    <input type="file" id="midi-file" accept=".mid,.midi,.json,audio/midi" multiple hidden>
+                    <div class="export-controls">
+                        <label>Export length:
+                            <input type="number" id="export-length" min="1" max="600" step="1" value="4">
+                        </label>
+                        <select id="export-unit">
+                            <option value="bars" selected>bars</option>
+                            <option value="seconds">seconds</option>
+                        </select>
+                        <select id="export-format">
+                            ${Object.entries(WAV_FORMATS).map(([format, { label }]) => `
+                                <option value="${format}">${label}</option>
+                            `).join('')}
+                        </select>
+                        <label>
+                            <input type="checkbox" id="export-stems">
+                            Separate stems
+                        </label>
+                        <button id="export-mix">Export WAV</button>
+                        <span id="export-status"></span>
+                    </div>
+                    <div class="project-controls">
+                        <button id="save-project">Save Project</button>
+                        <button id="load-project">Load Project</button>
+                        <input type="file" id="project-file" accept=".json,application/json" hidden>
+                    </div>
                 </div>
                 <div class="sequence-container"></div>
+                <div class="arrangement">
+                    <div class="arrangement-header">
+                        <h3>Arrangement</h3>
+                        <label><input type="checkbox" id="song-mode"> Song mode</label>
+                        <label>Length <input type="number" id="song-length" min="1" max="512" step="1" value="${this.arrangement.length}"> bars</label>
+                        <label><input type="checkbox" id="song-loop"> Loop bars</label>
+                        <input type="number" id="song-loop-start" min="1" step="1" value="${this.arrangement.loop.start + 1}">
+                        to
+                        <input type="number" id="song-loop-end" min="1" step="1" value="${this.arrangement.loop.end}">
+                        <span class="arrangement-hint">Double-click a lane to add a clip, drag clips to move them, drag on the ruler to set the loop</span>
+                    </div>
+                    <div class="arrangement-timeline"></div>
+                    <div class="clip-editor"></div>
+                </div>
 
                 <div id="content">
-                    <div class="element" data-sound="https://ns9648k.web.sigma2.no/evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCVR4RSQNYCM6PFBZC0TZ0HD_evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCXDE8GYPBGY6579CNEVDESS-4_0_1.wav">Element 1</div>
-                    <div class="element" data-sound="https://ns9648k.web.sigma2.no/evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCVR4RSQNYCM6PFBZC0TZ0HD_evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCXC5834FMVTRV3C6PZ1MH4E-4_0_1.wav">Element 2</div>
-                    <div class="element" data-sound="https://ns9648k.web.sigma2.no/evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCVR4RSQNYCM6PFBZC0TZ0HD_evoConf_singleMap_refSingleEmb_mfcc-sans0-statistics_pca_retrainIncr50_zScoreNSynthTrain_bassSynth/01JCX1R8B6A9QSMPEJ7D1C2WY1-4_0_1.wav">Element 3</div>
+                    <p class="drop-hint">Drop audio files or folders here &mdash; scroll to zoom, drag to pan, double-click to reset the view</p>
+                    <svg class="sound-map" viewBox="0 0 ${SOUND_MAP_WIDTH} ${SOUND_MAP_HEIGHT}">
+                        <g class="sound-map-viewport">
+                            <g class="sound-map-points"></g>
+                        </g>
+                    </svg>
                 </div>
                 <div class="trajectories-container"></div>
             </div>
@@ -1133,6 +5123,59 @@ class TestComponent extends HTMLElement {
             }
         });
 
+        // Computer keyboard layer
+        this.shadowRoot.querySelector('#keyboard-enabled').addEventListener('change', (e) => {
+            this.keyboard.enabled = e.target.checked;
+        });
+        this.shadowRoot.querySelector('#keyboard-assign').addEventListener('click', () => {
+            this.toggleKeyAssign();
+        });
+        this.shadowRoot.addEventListener('pointerdown', (e) => this.handleKeyAssignPointer(e), true);
+        // Kept so disconnectedCallback can take it off the window again
+        this.windowKeyDownHandler = (e) => this.handleKeyDown(e);
+        window.addEventListener('keydown', this.windowKeyDownHandler);
+
+        // MIDI input and learn
+        this.shadowRoot.querySelector('#midi-enable').addEventListener('click', async (e) => {
+            try {
+                await this.enableMidi();
+            } catch (error) {
+                console.error('Failed to enable MIDI:', error);
+                this.setMidiStatus(error.message);
+                return;
+            }
+            e.target.disabled = true;
+            ['#midi-input', '#midi-learn', '#midi-clock-source', '#midi-output', '#midi-clock-out'].forEach(selector => {
+                this.shadowRoot.querySelector(selector).disabled = false;
+            });
+        });
+        this.shadowRoot.querySelector('#midi-clock-source').addEventListener('change', (e) => {
+            this.midi.clockSource = e.target.value;
+            this.midi.clockTimes = [];
+        });
+        this.shadowRoot.querySelector('#midi-output').addEventListener('change', (e) => {
+            this.midi.outputId = e.target.value;
+        });
+        this.shadowRoot.querySelector('#midi-clock-out').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                this.midi.clockOut = true;
+                this.startMidiClockOut();
+                this.sendMidiTransport(this.transport.playing);
+            } else {
+                // Stop followers before the clock goes away, while the stop can still be sent
+                this.sendMidiTransport(false);
+                this.midi.clockOut = false;
+                this.stopMidiClockOut();
+            }
+        });
+        this.shadowRoot.querySelector('#midi-input').addEventListener('change', (e) => {
+            this.midi.inputId = e.target.value;
+        });
+        this.shadowRoot.querySelector('#midi-learn').addEventListener('click', () => {
+            this.toggleMidiLearn();
+        });
+        this.shadowRoot.addEventListener('pointerdown', (e) => this.handleMidiLearnPointer(e), true);
+
         const modeButtons = this.shadowRoot.querySelectorAll('input[name="mode"]');
         modeButtons.forEach(button => {
             button.addEventListener('change', (e) => {
@@ -1141,6 +5184,15 @@ class TestComponent extends HTMLElement {
             });
         });
 
+        this.shadowRoot.querySelector('#launch-quantize').addEventListener('change', (e) => {
+            this.launchQuantize = e.target.value;
+        });
+
+        this.shadowRoot.querySelector('#loop-tempo-sync').addEventListener('change', (e) => {
+            this.loopTempoSync = e.target.value;
+            this.updateLoopingVoices();
+        });
+
         const interactionButtons = this.shadowRoot.querySelectorAll('input[name="interaction"]');
         interactionButtons.forEach(button => {
             button.addEventListener('change', (e) => {
@@ -1165,88 +5217,206 @@ class TestComponent extends HTMLElement {
             stopRecordingButton.disabled = true;
         });
 
-        this.shadowRoot.querySelectorAll('.element').forEach(element => {
-            element.addEventListener(this.interactionMode === 'hover' ? 'mouseenter' : 'click', async () => {
-                if (this.mode === 'explore looping') {
-                    await this.toggleLoopingSound(element);
-                } else if (this.mode === 'explore one-off') {
-                    await this.playOneOffSound(element);
-                }
+        this.setupSoundMapNavigation(this.shadowRoot.querySelector('.sound-map'));
 
-                if (this.isRecording) {
-                    this.recordEvent(element);
-                }
+        DEFAULT_SAMPLE_URLS.forEach((soundUrl, index) => {
+            this.addSoundElement(soundUrl, `Element ${index + 1}`);
+            this.analyzeSample(soundUrl);
+        });
+
+        // Local sample import through file pickers and drag-and-drop
+        const sampleFilesInput = this.shadowRoot.querySelector('#sample-files');
+        const sampleFolderInput = this.shadowRoot.querySelector('#sample-folder');
+        const soundList = this.shadowRoot.querySelector('#content');
+
+        this.shadowRoot.querySelector('#import-files').addEventListener('click', () => {
+            sampleFilesInput.click();
+        });
+
+        this.shadowRoot.querySelector('#import-folder').addEventListener('click', () => {
+            sampleFolderInput.click();
+        });
+
+        [sampleFilesInput, sampleFolderInput].forEach(input => {
+            input.addEventListener('change', async (e) => {
+                const files = Array.from(e.target.files, file => ({
+                    file,
+                    path: file.webkitRelativePath || file.name
+                }));
+                await this.importLocalFiles(files);
+                e.target.value = '';
             });
         });
 
+        soundList.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            soundList.classList.add('drop-target');
+        });
+
+        soundList.addEventListener('dragleave', () => {
+            soundList.classList.remove('drop-target');
+        });
+
+        soundList.addEventListener('drop', async (e) => {
+            e.preventDefault();
+            soundList.classList.remove('drop-target');
+
+            // Entries have to be taken from the DataTransfer before the first await
+            const entries = Array.from(e.dataTransfer.items)
+                .map(item => item.webkitGetAsEntry())
+                .filter(entry => entry);
+            const files = (await Promise.all(entries.map(collectFilesFromEntry))).flat();
+            await this.importLocalFiles(files);
+        });
+
         // Add global BPM control
         const globalBpmSlider = this.shadowRoot.querySelector('#global-bpm');
         const bpmValue = this.shadowRoot.querySelector('#bpm-value');
 
         globalBpmSlider.addEventListener('input', (e) => {
-            this.globalBpm = parseInt(e.target.value);
+            const previousBpm = this.globalBpm;
+            const bpm = parseInt(e.target.value);
+            if (bpm !== previousBpm) {
+                this.history.push({
+                    label: 'Change BPM',
+                    undo: () => this.setGlobalBpm(previousBpm),
+                    redo: () => this.setGlobalBpm(bpm),
+                    coalesceKey: 'bpm'
+                });
+            }
+            this.globalBpm = bpm;
             bpmValue.textContent = this.globalBpm;
+            // Clips are placed in bars, so trajectory clips move with the tempo
+            this.updateArrangementTrajectorySignals();
+            this.updateAudioGraph();
             // Update all sequences
             this.sequences.forEach((sequence, id) => {
                 sequence.bpm = this.globalBpm;
+                this.updateSequenceTempoLabel(id);
                 this.updateSequencePlayback(id);
             });
+            this.trajectories.forEach((trajectory, id) => {
+                if (trajectory.isPlaying && trajectory.barSync) {
+                    this.playTrajectory(id);
+                }
+            });
+            if (this.loopTempoSync !== 'off') {
+                this.updateLoopingVoices();
+            }
+        });
+
+        // Transport controls; starting it also starts audio
+        this.shadowRoot.querySelector('#transport-play').addEventListener('click', async () => {
+            if (await this.ensureAudioInitialized()) {
+                this.playTransport();
+            }
+        });
+        this.shadowRoot.querySelector('#transport-stop').addEventListener('click', () => {
+            this.stopTransport();
+        });
+        this.shadowRoot.querySelector('#transport-restart').addEventListener('click', async () => {
+            if (await this.ensureAudioInitialized()) {
+                this.restartTransport();
+            }
         });
 
+        this.shadowRoot.querySelector('#undo').addEventListener('click', () => this.undo());
+        this.shadowRoot.querySelector('#redo').addEventListener('click', () => this.redo());
+        this.shadowRoot.querySelector('#store-scene').addEventListener('click', () => this.storeScene());
+        this.setupArrangementHandlers();
+        this.renderArrangement();
+
         // Add sequence button handler
         this.shadowRoot.querySelector('#add-sequence').addEventListener('click', () => {
-            const sequenceId = Date.now();
             const sequence = new Sequence();
             sequence.bpm = this.globalBpm;
-            this.sequences.set(sequenceId, sequence);
+            this.addSequence(Date.now(), sequence);
+        });
 
-            const container = this.shadowRoot.querySelector('.sequence-container');
-            container.appendChild(this.createSequenceControls(sequenceId));
+        // Master bus controls
+        const masterGainSlider = this.shadowRoot.querySelector('#master-gain');
+        const limiterCheckbox = this.shadowRoot.querySelector('#master-limiter');
+        const limiterThresholdSlider = this.shadowRoot.querySelector('#limiter-threshold');
+
+        masterGainSlider.addEventListener('input', (e) => {
+            this.masterParams.gain = parseFloat(e.target.value);
+            this.shadowRoot.querySelector('#master-gain-value').textContent = formatDecibels(this.masterParams.gain);
+            this.updateAudioGraph();
         });
 
-        // Modify existing element click handler
-        this.shadowRoot.querySelectorAll('.element').forEach(element => {
-            const originalClickHandler = element.onclick;
-            element.onclick = async (event) => {
-                if (!this.initialized) return;
-
-                // Only record to active sequence
-                if (this.activeSequenceId) {
-                    const sequence = this.sequences.get(this.activeSequenceId);
-                    if (sequence && sequence.isRecording) {
-                        const soundUrl = element.getAttribute('data-sound');
-                        
-                        if (!this.uploadedSamples.has(soundUrl)) {
-                            try {
-                                const res = await fetch(soundUrl);
-                                const sampleBuffer = await this.ctx.decodeAudioData(await res.arrayBuffer());
-                                
-                                await this.core.updateVirtualFileSystem({
-                                    [soundUrl]: [sampleBuffer.getChannelData(0)]
-                                });
-                                
-                                this.uploadedSamples.add(soundUrl);
-                                this.sampleDurations.set(soundUrl, sampleBuffer.duration);
-                            } catch (error) {
-                                console.error('Failed to load sample:', error);
-                                return;
-                            }
-                        }
-
-                        sequence.addElement(soundUrl);
-                        element.classList.add(`in-sequence-${this.activeSequenceId}`);
-                        
-                        this.updateSequenceElementsUI(this.activeSequenceId);
-                        this.updateSequencePlayback(this.activeSequenceId);
-                        return;
-                    }
-                }
+        limiterCheckbox.addEventListener('change', (e) => {
+            this.masterParams.limiter = e.target.checked;
+            this.updateAudioGraph();
+        });
 
-                // Handle original click behavior if no sequence is recording
-                if (originalClickHandler) {
-                    originalClickHandler(event);
-                }
-            };
+        limiterThresholdSlider.addEventListener('input', (e) => {
+            this.masterParams.threshold = parseFloat(e.target.value);
+            this.shadowRoot.querySelector('#limiter-threshold-value').textContent = `${this.masterParams.threshold} dB`;
+            this.updateAudioGraph();
+        });
+
+        this.shadowRoot.querySelectorAll('.clip-indicator').forEach(indicator => {
+            indicator.addEventListener('click', () => indicator.classList.remove('clipping'));
+        });
+
+        // Offline WAV export
+        const exportButton = this.shadowRoot.querySelector('#export-mix');
+        const exportStatus = this.shadowRoot.querySelector('#export-status');
+
+        exportButton.addEventListener('click', async () => {
+            if (!this.initialized) return;
+
+            exportButton.disabled = true;
+            exportStatus.textContent = 'Rendering...';
+            try {
+                await this.exportMix({
+                    length: parseFloat(this.shadowRoot.querySelector('#export-length').value),
+                    unit: this.shadowRoot.querySelector('#export-unit').value,
+                    format: this.shadowRoot.querySelector('#export-format').value,
+                    stems: this.shadowRoot.querySelector('#export-stems').checked
+                });
+                exportStatus.textContent = '';
+            } catch (error) {
+                console.error('Failed to export audio:', error);
+                exportStatus.textContent = 'Export failed';
+            }
+            exportButton.disabled = false;
+        });
+
+        // MIDI file import, optionally with the note map written by the export
+        const midiFileInput = this.shadowRoot.querySelector('#midi-file');
+        this.shadowRoot.querySelector('#import-midi').addEventListener('click', () => {
+            midiFileInput.click();
+        });
+        midiFileInput.addEventListener('change', async (e) => {
+            try {
+                await this.importMidiFiles(Array.from(e.target.files));
+            } catch (error) {
+                console.error('Failed to import MIDI file:', error);
+            }
+            e.target.value = '';
+        });
+
+        // Project save / load
+        const projectFileInput = this.shadowRoot.querySelector('#project-file');
+
+        this.shadowRoot.querySelector('#save-project').addEventListener('click', () => {
+            this.exportProject();
+        });
+
+        this.shadowRoot.querySelector('#load-project').addEventListener('click', () => {
+            projectFileInput.click();
+        });
+
+        projectFileInput.addEventListener('change', async (e) => {
+            const [file] = e.target.files;
+            if (!file) return;
+            try {
+                await this.importProject(file);
+            } catch (error) {
+                console.error('Failed to load project:', error);
+            }
+            e.target.value = '';
         });
 
         // Add sample parameter control handlers
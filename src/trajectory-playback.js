@@ -0,0 +1,64 @@
+// Turning recorded trajectory events into sequencer ticks, with playback direction and repetitions
+
+// Ticks per second of recorded time, at a playback speed of 1
+export const TRAJECTORY_TICK_RATE = 100;
+
+export const TRAJECTORY_DIRECTIONS = {
+    forward: 'Forward',
+    reverse: 'Reverse',
+    pingpong: 'Ping-pong'
+};
+
+// Repetition counts offered for playback; 0 loops forever
+export const TRAJECTORY_REPEATS = [0, 1, 2, 4, 8, 16];
+
+export const DEFAULT_TRAJECTORY_PLAYBACK = {
+    speed: 1,
+    direction: 'forward',
+    repeats: 0,
+    barSync: false
+};
+
+/**
+ * Build the sparseq2 entries for one trajectory, with times in ticks. `soundEvents` are
+ * time-sorted events with a sound; event `i` gets the value `i + 1` and value 0 is silence.
+ * One cycle covers [loopStart, loopEnd) once (twice for ping-pong); `repeats` cycles are
+ * unrolled, or a single cycle to be looped over `cycleTicks` is returned when `repeats` is 0.
+ */
+export function buildTrajectorySeq(soundEvents, { loopStart, loopEnd, direction = 'forward', repeats = 0 }) {
+    const span = Math.max(1, Math.round((loopEnd - loopStart) * TRAJECTORY_TICK_RATE));
+    const inLoop = soundEvents
+        .map((evt, i) => ({ local: Math.round((evt.time - loopStart) * TRAJECTORY_TICK_RATE), value: i + 1 }))
+        .filter(({ local }) => local >= 0 && local < span);
+
+    // Ticks start at 1, so that an event at the loop start is within the loop range and not at its edge
+    const forward = inLoop.map(({ local, value }) => ({ tick: local + 1, value }));
+    const reverse = inLoop.map(({ local, value }) => ({ tick: Math.max(1, span - local), value })).reverse();
+    const entries = {
+        forward,
+        reverse,
+        pingpong: [...forward, ...reverse.map(({ tick, value }) => ({ tick: tick + span, value }))]
+    }[direction];
+    // An event that follows itself, as the last one does at the ping-pong turnaround, needs a
+    // silent half tick before it to trigger again
+    const cycle = entries.flatMap((entry, i) => i > 0 && entries[i - 1].value === entry.value ?
+        [{ tick: entry.tick - 0.5, value: 0 }, entry] :
+        [entry]);
+    const cycleTicks = (direction === 'pingpong' ? 2 * span : span) + 1;
+
+    const cycles = repeats > 0 ? repeats : 1;
+    const seq = [];
+    for (let n = 0; n < cycles; n++) {
+        // A silent tick at each cycle start lets an event retrigger in the next cycle
+        seq.push({ time: n * cycleTicks, value: 0 });
+        cycle.forEach(({ tick, value }) => seq.push({ time: n * cycleTicks + tick, value }));
+    }
+    seq.push({ time: cycles * cycleTicks, value: 0 });
+    seq.sort((a, b) => a.time - b.time);
+
+    return {
+        seq,
+        cycleTicks,
+        loop: repeats === 0
+    };
+}
@@ -0,0 +1,60 @@
+// Per-element trigger probability and conditions, decided once per loop cycle
+
+import {createRandom} from './generators.js';
+
+export const TRIGGER_CONDITIONS = {
+    always: 'Always',
+    first: 'First loop only',
+    'not-first': 'Not on first loop',
+    'every-2': 'Every 2nd loop',
+    'every-3': 'Every 3rd loop',
+    'every-4': 'Every 4th loop',
+    'every-8': 'Every 8th loop',
+    previous: 'If previous fired',
+    'not-previous': 'If previous did not fire'
+};
+
+// Cycles after the first loop that are decided before the pattern repeats; a multiple of every "every N"
+export const TRIGGER_PATTERN_CYCLES = 96;
+
+export function isConditional(element) {
+    return element.probability < 1 || element.condition !== 'always';
+}
+
+function conditionHolds(condition, cycle, previousFired) {
+    if (condition === 'first') return cycle === 0;
+    if (condition === 'not-first') return cycle > 0;
+    if (condition === 'previous') return previousFired;
+    if (condition === 'not-previous') return !previousFired;
+    if (condition.startsWith('every-')) {
+        const n = parseInt(condition.slice('every-'.length));
+        return (cycle + 1) % n === 0;
+    }
+    return true;
+}
+
+/**
+ * Decide which elements fire in each loop cycle, as `fired[element][cycle]` for cycle 0
+ * (the first loop after the transport starts) to TRIGGER_PATTERN_CYCLES; cycles after that
+ * repeat 1 to TRIGGER_PATTERN_CYCLES. The previous element is the one that starts before it
+ * in the loop (`startTimes`, seconds), and the previous element of the first one is the last
+ * element of the cycle before. Each element draws its rolls from its own generator, seeded by
+ * `seed` and its `rollSeed`, so adding, removing or editing an element leaves the rolls of the
+ * others as they were.
+ */
+export function buildTriggerPattern(elements, startTimes, seed) {
+    const randoms = elements.map(element => createRandom(Math.imul(seed ^ element.rollSeed, 0x9e3779b1)));
+    const order = elements.map((_, index) => index)
+        .sort((a, b) => startTimes[a] - startTimes[b] || a - b);
+    const fired = elements.map(() => []);
+    let previousFired = false;
+    for (let cycle = 0; cycle <= TRIGGER_PATTERN_CYCLES; cycle++) {
+        order.forEach(index => {
+            const roll = randoms[index]();
+            const fires = conditionHolds(elements[index].condition, cycle, previousFired) && roll < elements[index].probability;
+            fired[index][cycle] = fires;
+            previousFired = fires;
+        });
+    }
+    return fired;
+}
@@ -0,0 +1,67 @@
+// RIFF/WAVE encoding of rendered audio
+
+export const WAV_FORMATS = {
+    'pcm16': { label: '16-bit PCM', bytesPerSample: 2, formatTag: 1 },
+    'pcm24': { label: '24-bit PCM', bytesPerSample: 3, formatTag: 1 },
+    'float32': { label: '32-bit float', bytesPerSample: 4, formatTag: 3 }
+};
+
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
+
+/**
+ * Encode planar channel data (one Float32Array per channel) as an interleaved WAV file.
+ * `format` is one of the WAV_FORMATS keys.
+ */
+export function encodeWav(channels, sampleRate, format = 'pcm16') {
+    const { bytesPerSample, formatTag } = WAV_FORMATS[format];
+    const numChannels = channels.length;
+    const numFrames = channels[0].length;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = numFrames * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, formatTag, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bytesPerSample * 8, true);
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    let offset = 44;
+    for (let frame = 0; frame < numFrames; frame++) {
+        for (let channel = 0; channel < numChannels; channel++) {
+            const value = channels[channel][frame];
+
+            if (format === 'float32') {
+                view.setFloat32(offset, value, true);
+            } else {
+                const clamped = Math.max(-1, Math.min(1, value));
+                if (format === 'pcm16') {
+                    view.setInt16(offset, Math.round(clamped * 0x7fff), true);
+                } else {
+                    const sample = Math.round(clamped * 0x7fffff);
+                    view.setUint8(offset, sample & 0xff);
+                    view.setUint8(offset + 1, (sample >> 8) & 0xff);
+                    view.setUint8(offset + 2, (sample >> 16) & 0xff);
+                }
+            }
+
+            offset += bytesPerSample;
+        }
+    }
+
+    return buffer;
+}